@@ -0,0 +1,507 @@
+/**
+ * Analytics Module
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Counts a handful of anonymous events from the page's existing hooks:
+ * CV downloads, language and theme changes, project link clicks and
+ * section views. No cookies, no identifiers: an event is its name, a few
+ * coarse props, the page path and its language.
+ *
+ * Nothing is recorded until the visitor accepts the consent banner, and
+ * with Do Not Track (or Global Privacy Control) the banner isn't even
+ * shown. Events are batched and sent with navigator.sendBeacon through a
+ * pluggable sink, chosen with data-analytics-sink on the banner:
+ *   - post:      JSON batch POSTed to data-analytics-endpoint
+ *   - plausible: one Plausible Events API call per event, for
+ *                data-analytics-domain (data-analytics-endpoint if self-hosted)
+ * Other sinks can be added with Analytics.registerSink(). Without a sink
+ * (or a post sink without an endpoint) there's nothing to consent to, so
+ * the banner stays hidden. In debug mode (Analytics.enableDebug()) batches
+ * are only logged to the console, whatever the banner says.
+ */
+
+const Analytics = (function() {
+    'use strict';
+
+    // ==========================================
+    // Configuration
+    // ==========================================
+    const CONFIG = {
+        bannerId: 'analytics-consent',
+        preferencesSelector: '[data-analytics-preferences]',
+        consentKey: 'portfolio_analytics_consent',
+        debug: false,
+        debugSink: 'console',
+        plausibleEndpoint: 'https://plausible.io/api/event',
+        batchSize: 10,
+        flushInterval: 10000,
+        cvLinkSelector: '[data-cv-link], .cta-link--download',
+        projectLinkSelector: '.project-link',
+        sectionSelector: 'main section[id]',
+        // A section counts as viewed when it crosses the middle of the viewport
+        sectionRootMargin: '-50% 0px -50% 0px'
+    };
+
+    // ==========================================
+    // Sinks
+    // ==========================================
+
+    /**
+     * Sinks receive a batch of events and the banner's options and
+     * return whether the batch was handed over. The console sink is only
+     * used in debug mode.
+     */
+    const sinks = {
+        console(events) {
+            console.info('[Analytics]', events);
+            return true;
+        },
+
+        post(events, options) {
+            return beacon(options.endpoint, { events });
+        },
+
+        plausible(events, options) {
+            const endpoint = options.endpoint || CONFIG.plausibleEndpoint;
+
+            return events.every(event => beacon(endpoint, {
+                name: event.name,
+                url: `${window.location.origin}${event.path}`,
+                domain: options.domain,
+                referrer: document.referrer || null,
+                props: { ...event.props, lang: event.lang }
+            }));
+        }
+    };
+
+    // ==========================================
+    // State
+    // ==========================================
+    let banner = null;
+    let queue = [];
+    let flushTimer = null;
+    let sectionObserver = null;
+    let viewedSections = new Set();
+    let currentLang = null;
+    let isTracking = false;
+    let isInitialized = false;
+
+    // ==========================================
+    // Private Methods
+    // ==========================================
+
+    /**
+     * Sends a JSON body with sendBeacon, or a keepalive fetch without it
+     * @param {string} url - Endpoint
+     * @param {Object} body - Payload
+     * @returns {boolean} Whether the request was queued
+     */
+    function beacon(url, body) {
+        // text/plain keeps the request CORS-simple (no preflight)
+        const payload = new Blob([JSON.stringify(body)], { type: 'text/plain;charset=UTF-8' });
+
+        if (navigator.sendBeacon && navigator.sendBeacon(url, payload)) {
+            return true;
+        }
+
+        if (typeof fetch !== 'function') return false;
+
+        fetch(url, { method: 'POST', body: payload, keepalive: true, mode: 'no-cors' }).catch(() => {});
+        return true;
+    }
+
+    /**
+     * Checks the browser's Do Not Track and Global Privacy Control signals
+     * @returns {boolean}
+     */
+    function isDoNotTrack() {
+        const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+        return dnt === '1' || dnt === 'yes' || navigator.globalPrivacyControl === true;
+    }
+
+    /**
+     * Reads the saved consent
+     * @returns {string|null} 'granted', 'denied' or null if not asked yet
+     */
+    function readConsent() {
+        try {
+            const value = localStorage.getItem(CONFIG.consentKey);
+            return value === 'granted' || value === 'denied' ? value : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Saves the consent
+     * @param {string} value - 'granted' or 'denied'
+     */
+    function saveConsent(value) {
+        try {
+            localStorage.setItem(CONFIG.consentKey, value);
+        } catch (error) {
+            // localStorage not available: the banner asks again next visit
+        }
+    }
+
+    /**
+     * Reads the sink options from the banner's data attributes
+     * @returns {{sink: string|null, endpoint: string|null, domain: string}}
+     */
+    function getOptions() {
+        const dataset = banner ? banner.dataset : {};
+
+        return {
+            sink: CONFIG.debug ? CONFIG.debugSink : (dataset.analyticsSink || null),
+            endpoint: dataset.analyticsEndpoint || null,
+            domain: dataset.analyticsDomain || window.location.hostname
+        };
+    }
+
+    /**
+     * Checks whether events would actually be recorded somewhere
+     * @param {Object} options - From getOptions()
+     * @returns {boolean}
+     */
+    function hasSink(options) {
+        if (!options.sink || !sinks[options.sink]) return false;
+        if (options.sink === CONFIG.debugSink) return CONFIG.debug;
+        if (options.sink === 'post') return Boolean(options.endpoint);
+
+        return true;
+    }
+
+    /**
+     * Shows or hides the consent banner
+     * @param {boolean} visible
+     */
+    function setBannerVisible(visible) {
+        if (banner) banner.hidden = !visible;
+    }
+
+    // ==========================================
+    // Event Capture
+    // ==========================================
+
+    /**
+     * Records CV downloads and project link clicks
+     * @param {MouseEvent} event
+     */
+    function handleClick(event) {
+        const cvLink = event.target.closest(CONFIG.cvLinkSelector);
+
+        if (cvLink) {
+            const section = cvLink.closest('section[id]');
+            track('cv_download', {
+                cvLang: cvLink.getAttribute('hreflang') || 'default',
+                // The hero (a <header>) has no id
+                from: section ? section.id : (cvLink.closest('.hero') ? 'hero' : 'page')
+            });
+            return;
+        }
+
+        const projectLink = event.target.closest(CONFIG.projectLinkSelector);
+
+        if (projectLink) {
+            const card = projectLink.closest('[data-project]');
+            track('project_link', {
+                project: card ? card.getAttribute('data-project') : 'unknown',
+                type: projectLink.getAttribute('data-link-type') || 'link'
+            });
+        }
+    }
+
+    /**
+     * Records language switches
+     * @param {CustomEvent} event - languageChanged
+     */
+    function handleLanguageChange(event) {
+        const { language } = event.detail;
+
+        track('language_change', { from: currentLang, to: language });
+        currentLang = language;
+    }
+
+    /**
+     * Records theme changes
+     * @param {CustomEvent} event - themeChanged
+     */
+    function handleThemeChange(event) {
+        track('theme_change', { mode: event.detail.mode, theme: event.detail.theme });
+    }
+
+    /**
+     * Sends what's queued before the page goes away
+     */
+    function handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') flush();
+    }
+
+    /**
+     * Records each section the first time it's seen on this page view
+     */
+    function observeSections() {
+        if (typeof IntersectionObserver !== 'function') return;
+
+        sectionObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                const id = entry.target.id;
+                if (!entry.isIntersecting || viewedSections.has(id)) return;
+
+                viewedSections.add(id);
+                track('section_view', { section: id });
+            });
+        }, { rootMargin: CONFIG.sectionRootMargin });
+
+        document.querySelectorAll(CONFIG.sectionSelector).forEach(section => sectionObserver.observe(section));
+    }
+
+    /**
+     * Starts listening to the page's hooks and counts the page view
+     */
+    function startTracking() {
+        if (isTracking) return;
+        isTracking = true;
+
+        currentLang = I18n.getCurrentLanguage();
+        document.addEventListener('click', handleClick);
+        document.addEventListener('languageChanged', handleLanguageChange);
+        document.addEventListener('themeChanged', handleThemeChange);
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        window.addEventListener('pagehide', flush);
+        observeSections();
+
+        track('pageview');
+    }
+
+    /**
+     * Stops listening and drops anything not sent yet
+     */
+    function stopTracking() {
+        if (!isTracking) return;
+        isTracking = false;
+
+        document.removeEventListener('click', handleClick);
+        document.removeEventListener('languageChanged', handleLanguageChange);
+        document.removeEventListener('themeChanged', handleThemeChange);
+        document.removeEventListener('visibilitychange', handleVisibilityChange);
+        window.removeEventListener('pagehide', flush);
+
+        if (sectionObserver) {
+            sectionObserver.disconnect();
+            sectionObserver = null;
+        }
+
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        queue = [];
+    }
+
+    /**
+     * Applies the choice made on the banner
+     * @param {MouseEvent} event
+     */
+    function handleBannerClick(event) {
+        const button = event.target.closest('[data-consent]');
+        if (button) setConsent(button.getAttribute('data-consent') === 'granted');
+    }
+
+    /**
+     * Reopens the banner from the footer, focusing the current choice
+     */
+    function handlePreferencesClick() {
+        setBannerVisible(true);
+
+        const current = banner && banner.querySelector(`[data-consent="${readConsent() || 'granted'}"]`);
+        if (current) current.focus();
+    }
+
+    /**
+     * Binds the banner buttons and shows the footer's preferences button
+     * @param {boolean} bind - false unbinds them and hides the button again
+     */
+    function bindEvents(bind) {
+        const method = bind ? 'addEventListener' : 'removeEventListener';
+
+        if (banner) {
+            banner[method]('click', handleBannerClick);
+        }
+
+        document.querySelectorAll(CONFIG.preferencesSelector).forEach(button => {
+            button.hidden = !bind;
+            button[method]('click', handlePreferencesClick);
+        });
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    /**
+     * Queues an event; nothing is recorded without consent
+     * @param {string} name - Event name (e.g., 'cv_download')
+     * @param {Object} [props] - Small, non-identifying details
+     * @returns {boolean} Whether the event was queued
+     * @example
+     * Analytics.track('contact_sent', { adapter: 'mailto' });
+     */
+    function track(name, props = {}) {
+        if (!isTracking) return false;
+
+        queue.push({
+            name,
+            props,
+            path: window.location.pathname,
+            lang: I18n.getCurrentLanguage(),
+            time: new Date().toISOString()
+        });
+
+        if (queue.length >= CONFIG.batchSize) {
+            flush();
+        } else if (flushTimer === null) {
+            flushTimer = setTimeout(flush, CONFIG.flushInterval);
+        }
+
+        return true;
+    }
+
+    /**
+     * Sends the queued events through the configured sink
+     * @returns {boolean} Whether the sink took them (true when there was nothing to send)
+     */
+    function flush() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+
+        if (!queue.length) return true;
+
+        const options = getOptions();
+        const events = queue;
+        queue = [];
+
+        if (!hasSink(options)) {
+            console.error(`[Analytics] No usable sink: ${options.sink}`);
+            return false;
+        }
+
+        try {
+            return sinks[options.sink](events, options);
+        } catch (error) {
+            console.error('[Analytics] Sink failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Records the visitor's choice and starts or stops tracking
+     * @param {boolean} granted - Whether the visitor accepts
+     */
+    function setConsent(granted) {
+        saveConsent(granted ? 'granted' : 'denied');
+        setBannerVisible(false);
+
+        if (granted && !isDoNotTrack()) {
+            startTracking();
+        } else {
+            stopTracking();
+        }
+    }
+
+    /**
+     * Gets the visitor's choice
+     * @returns {string} 'granted', 'denied', 'unset' or 'dnt' (Do Not Track wins)
+     */
+    function getConsent() {
+        return isDoNotTrack() ? 'dnt' : (readConsent() || 'unset');
+    }
+
+    /**
+     * Adds or replaces a sink
+     * @param {string} name - Value for data-analytics-sink
+     * @param {Function} send - (events, options) => boolean
+     * @example
+     * Analytics.registerSink('debug', (events) => {
+     *     console.table(events);
+     *     return true;
+     * });
+     */
+    function registerSink(name, send) {
+        if (typeof send !== 'function') {
+            console.error(`[Analytics] Sink "${name}" must be a function`);
+            return;
+        }
+
+        sinks[name] = send;
+    }
+
+    /**
+     * Asks for consent or starts tracking, unless Do Not Track is on
+     * or no sink is configured
+     */
+    function init() {
+        if (isInitialized) return;
+        isInitialized = true;
+
+        // Do Not Track: no banner, no preferences button, no events
+        if (isDoNotTrack()) return;
+
+        banner = document.getElementById(CONFIG.bannerId);
+
+        // Nowhere to send events: don't ask for consent to record nothing
+        if (!hasSink(getOptions())) {
+            banner = null;
+            return;
+        }
+
+        bindEvents(true);
+
+        const consent = readConsent();
+
+        if (consent === 'granted') {
+            startTracking();
+        } else if (consent === null) {
+            setBannerVisible(true);
+        }
+    }
+
+    /**
+     * Sends what's queued, stops tracking and hides the consent UI
+     */
+    function destroy() {
+        if (!isInitialized) return;
+
+        flush();
+        stopTracking();
+        setBannerVisible(false);
+        bindEvents(false);
+
+        banner = null;
+        isInitialized = false;
+    }
+
+    /**
+     * Enables debug mode: batches are logged to the console instead of
+     * being sent, and the banner shows even without a configured sink
+     */
+    function enableDebug() {
+        CONFIG.debug = true;
+        console.log('[Analytics] Debug mode enabled');
+
+        if (isInitialized) {
+            destroy();
+            init();
+        }
+    }
+
+    return {
+        init,
+        destroy,
+        enableDebug,
+        track,
+        flush,
+        setConsent,
+        getConsent,
+        registerSink
+    };
+
+})();
@@ -0,0 +1,532 @@
+/**
+ * Command Palette Module
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Ctrl/Cmd+K opens a palette that fuzzy-searches the sections, projects,
+ * stack technologies and a few actions (language, theme, CV, email).
+ * The shortcut is bound in initKeyboardNav() in main.js.
+ *
+ * Commands are rebuilt every time the palette opens, so they always
+ * follow the current language and the loaded project catalogue. Every
+ * label comes from the locale files (palette.*) or from elements that
+ * are already translated, like the section nav links.
+ */
+
+const CommandPalette = (function() {
+    'use strict';
+
+    // ==========================================
+    // Configuration
+    // ==========================================
+    const CONFIG = {
+        dialogId: 'command-palette',
+        inputSelector: '.command-palette__input',
+        listSelector: '.command-palette__list',
+        emptySelector: '.command-palette__empty',
+        statusSelector: '.command-palette__status',
+        toastId: 'command-palette-toast',
+        toastDuration: 2500,
+        maxResults: 12,
+        groups: {
+            section: { key: 'palette.groups.sections', fallback: 'Secciones' },
+            project: { key: 'palette.groups.projects', fallback: 'Proyectos' },
+            tech: { key: 'palette.groups.technologies', fallback: 'Tecnologías' },
+            action: { key: 'palette.groups.actions', fallback: 'Acciones' }
+        }
+    };
+
+    // ==========================================
+    // State
+    // ==========================================
+    let dialog = null;
+    let input = null;
+    let list = null;
+    let commands = [];
+    let results = [];
+    let activeIndex = 0;
+    let returnFocus = null;
+    let toastTimer = null;
+    let bindings = [];
+    let isInitialized = false;
+
+    // ==========================================
+    // Private Methods
+    // ==========================================
+
+    /**
+     * Lowercases text and strips accents so "codigo" matches "Código"
+     * @param {string} text
+     * @returns {string}
+     */
+    function normalize(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    /**
+     * Checks whether a character position starts a word
+     * @param {string} text
+     * @param {number} index
+     * @returns {boolean}
+     */
+    function isWordStart(text, index) {
+        return index === 0 || /[\s\-_./]/.test(text[index - 1]);
+    }
+
+    /**
+     * Scores how well a query matches a text. Exact substrings rank first
+     * (more so at a word start); otherwise the query must appear as a
+     * subsequence, where consecutive characters and word starts score higher.
+     * @param {string} query - Normalized query
+     * @param {string} text - Normalized text
+     * @returns {number} Score, or -1 if the text doesn't contain the query
+     */
+    function fuzzyScore(query, text) {
+        const index = text.indexOf(query);
+        if (index !== -1) {
+            return 100 + (isWordStart(text, index) ? 50 : 0) - index * 0.1;
+        }
+
+        let score = 0;
+        let position = -1;
+        let streak = 0;
+
+        for (const char of query) {
+            const next = text.indexOf(char, position + 1);
+            if (next === -1) return -1;
+
+            streak = next === position + 1 ? streak + 1 : 0;
+            score += 1 + streak * 2;
+
+            if (isWordStart(text, next)) {
+                score += 3;
+            }
+
+            position = next;
+        }
+
+        // Prefer shorter texts for the same match
+        return score - text.length * 0.01;
+    }
+
+    /**
+     * Scrolls a section into view and records it in the history,
+     * like the smooth-scroll handler in main.js
+     * @param {HTMLElement} target - Element to scroll to
+     */
+    function scrollToElement(target) {
+        const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+        target.scrollIntoView({ behavior: prefersReducedMotion ? 'auto' : 'smooth', block: 'start' });
+        if (target.id) {
+            history.pushState(null, '', `#${target.id}`);
+        }
+    }
+
+    /**
+     * Builds a command
+     * @param {string} group - Key of CONFIG.groups
+     * @param {string} label - Visible text
+     * @param {Function} run - What the command does
+     * @param {string} [keywords] - Extra searchable text
+     * @returns {Object}
+     */
+    function createCommand(group, label, run, keywords = '') {
+        return { group, label, run, search: normalize(`${label} ${keywords}`) };
+    }
+
+    /**
+     * Lists the sections from the section nav
+     * @returns {Object[]} Commands
+     */
+    function getSectionCommands() {
+        return Array.from(document.querySelectorAll('.section-nav__link')).map(link => {
+            const target = document.getElementById(link.getAttribute('href').slice(1));
+            const label = I18n.t(link.getAttribute('data-i18n'), link.textContent.trim());
+
+            return target && createCommand('section', label, () => scrollToElement(target));
+        }).filter(Boolean);
+    }
+
+    /**
+     * Lists the projects; each one opens its details
+     * @returns {Object[]} Commands
+     */
+    function getProjectCommands() {
+        return Projects.getProjects().map(project => {
+            return createCommand('project', I18n.localize(project.title), () => {
+                if (ProjectDetail.open(project.id)) return;
+
+                const card = document.querySelector(`.project-card[data-project="${project.id}"]`);
+                scrollToElement(card || document.getElementById('projects'));
+            }, (project.stack || []).join(' '));
+        });
+    }
+
+    /**
+     * Lists the technologies in #stack, once each even when a technology
+     * appears in several stack blocks. Those used by a project filter the
+     * projects (through the icon's own click handler); the rest show the stack.
+     * @returns {Object[]} Commands
+     */
+    function getTechCommands() {
+        const icons = new Map();
+
+        document.querySelectorAll('#stack .tech-icon').forEach(icon => {
+            const name = icon.querySelector('.tech-icon__name');
+            if (!name) return;
+
+            // Keep the copy that can filter the projects, if any
+            const label = name.textContent.trim();
+            if (!icons.has(label) || icon.classList.contains('tech-icon--filterable')) {
+                icons.set(label, icon);
+            }
+        });
+
+        return Array.from(icons, ([label, icon]) => createCommand('tech', label, () => {
+            if (icon.classList.contains('tech-icon--filterable')) {
+                icon.click();
+            } else {
+                scrollToElement(document.getElementById('stack'));
+            }
+        }));
+    }
+
+    /**
+     * Lists the actions: switch language, toggle theme, download CV, copy email
+     * @returns {Object[]} Commands
+     */
+    function getActionCommands() {
+        const actions = I18n.getSupportedLanguages()
+            .filter(lang => lang !== I18n.getCurrentLanguage())
+            .map(lang => {
+                const language = I18n.t(`palette.languages.${lang}`, lang.toUpperCase());
+                return createCommand('action', I18n.t('palette.actions.language', { language }), () => {
+                    I18n.setLanguage(lang);
+                }, lang);
+            });
+
+        actions.push(createCommand('action', I18n.t('palette.actions.theme', 'Cambiar tema'), () => Theme.toggle()));
+
+        // js/cv-links.js points these at the current language's PDF or printable HTML
+        const cvLink = document.querySelector('a[data-cv-link][href]');
+        if (cvLink) {
+            const format = cvLink.getAttribute('href').split('.').pop();
+            actions.push(createCommand('action', I18n.t('palette.actions.downloadCV', 'Descargar CV'), () => cvLink.click(), `cv ${format}`));
+        }
+
+        const emailLink = document.querySelector('a[href^="mailto:"]');
+        if (emailLink) {
+            const email = emailLink.getAttribute('href').slice('mailto:'.length);
+            actions.push(createCommand('action', I18n.t('palette.actions.copyEmail', 'Copiar email'), () => copyEmail(email), email));
+        }
+
+        return actions;
+    }
+
+    /**
+     * Copies the email address and confirms it with a toast
+     * @param {string} email
+     */
+    function copyEmail(email) {
+        const copy = navigator.clipboard ? navigator.clipboard.writeText(email) : Promise.reject(new Error('Clipboard not available'));
+
+        copy
+            .then(() => showToast(I18n.t('palette.copied', { email })))
+            .catch(() => showToast(I18n.t('palette.copyFailed', { email })));
+    }
+
+    /**
+     * Shows a short confirmation message, also read by screen readers
+     * @param {string} message
+     */
+    function showToast(message) {
+        const toast = document.getElementById(CONFIG.toastId);
+        if (!toast) return;
+
+        toast.textContent = message;
+        toast.hidden = false;
+
+        clearTimeout(toastTimer);
+        toastTimer = setTimeout(() => {
+            toast.hidden = true;
+        }, CONFIG.toastDuration);
+    }
+
+    /**
+     * Builds every command in the current language
+     * @returns {Object[]}
+     */
+    function buildCommands() {
+        return [
+            ...getSectionCommands(),
+            ...getProjectCommands(),
+            ...getTechCommands(),
+            ...getActionCommands()
+        ];
+    }
+
+    /**
+     * Filters and ranks the commands for a query.
+     * An empty query lists everything in group order.
+     * @param {string} query
+     * @returns {Object[]}
+     */
+    function search(query) {
+        const needle = normalize(query.trim()).replace(/\s+/g, ' ');
+        if (!needle) return commands.slice();
+
+        return commands
+            .map(command => ({ command, score: fuzzyScore(needle, command.search) }))
+            .filter(({ score }) => score >= 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, CONFIG.maxResults)
+            .map(({ command }) => command);
+    }
+
+    /**
+     * Renders the results as listbox options
+     */
+    function renderResults() {
+        const empty = dialog.querySelector(CONFIG.emptySelector);
+        const status = dialog.querySelector(CONFIG.statusSelector);
+
+        list.replaceChildren(...results.map((command, index) => {
+            const option = document.createElement('li');
+            const label = document.createElement('span');
+            const group = document.createElement('span');
+            const groupConfig = CONFIG.groups[command.group];
+
+            option.id = `${CONFIG.dialogId}-option-${index}`;
+            option.className = 'command-palette__option';
+            option.setAttribute('role', 'option');
+            option.setAttribute('data-index', index.toString());
+
+            label.className = 'command-palette__label';
+            label.textContent = command.label;
+            group.className = 'command-palette__group';
+            group.textContent = I18n.t(groupConfig.key, groupConfig.fallback);
+
+            option.append(label, group);
+            return option;
+        }));
+
+        if (empty) empty.hidden = results.length > 0;
+        if (status) status.textContent = I18n.t('palette.results', { count: results.length });
+
+        setActive(0);
+    }
+
+    /**
+     * Highlights a result and points the input at it
+     * @param {number} index
+     */
+    function setActive(index) {
+        const options = Array.from(list.children);
+        activeIndex = options.length ? (index + options.length) % options.length : -1;
+
+        options.forEach((option, optionIndex) => {
+            option.setAttribute('aria-selected', (optionIndex === activeIndex).toString());
+        });
+
+        if (activeIndex === -1) {
+            input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        input.setAttribute('aria-activedescendant', options[activeIndex].id);
+        if (typeof options[activeIndex].scrollIntoView === 'function') {
+            options[activeIndex].scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Closes the palette and runs a result
+     * @param {number} index
+     */
+    function execute(index) {
+        const command = results[index];
+        if (!command) return;
+
+        close();
+        command.run();
+    }
+
+    /**
+     * Handles navigation keys in the search input
+     * @param {KeyboardEvent} event
+     */
+    function handleKeydown(event) {
+        // Home/End stay with the text field; only the arrows move the selection
+        const next = {
+            ArrowDown: activeIndex + 1,
+            ArrowUp: activeIndex - 1
+        }[event.key];
+
+        if (next !== undefined) {
+            event.preventDefault();
+            setActive(next);
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            execute(activeIndex);
+        }
+    }
+
+    /**
+     * Adds an event listener that destroy() removes
+     * @param {EventTarget} target
+     * @param {string} type - Event type
+     * @param {Function} handler
+     */
+    function listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        bindings.push([target, type, handler]);
+    }
+
+    /**
+     * Binds the search input, results and closing controls
+     */
+    function bindEvents() {
+        listen(input, 'input', () => {
+            results = search(input.value);
+            renderResults();
+        });
+
+        listen(input, 'keydown', handleKeydown);
+
+        listen(list, 'click', (event) => {
+            const option = event.target.closest('[role="option"]');
+            if (option) execute(parseInt(option.getAttribute('data-index'), 10));
+        });
+
+        listen(list, 'mousemove', (event) => {
+            const option = event.target.closest('[role="option"]');
+            const index = option ? parseInt(option.getAttribute('data-index'), 10) : activeIndex;
+            if (index !== activeIndex) setActive(index);
+        });
+
+        listen(dialog, 'click', (event) => {
+            // Clicks on the backdrop land on the <dialog> element itself
+            if (event.target === dialog) close();
+        });
+
+        listen(dialog, 'cancel', (event) => {
+            event.preventDefault();
+            close();
+        });
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    /**
+     * Opens the palette with an empty search
+     */
+    function open() {
+        if (!dialog || isOpen()) return;
+
+        returnFocus = document.activeElement;
+        commands = buildCommands();
+        input.value = '';
+        results = search('');
+        renderResults();
+
+        if (typeof dialog.showModal === 'function') {
+            dialog.showModal();
+        } else {
+            dialog.setAttribute('open', '');
+        }
+
+        input.setAttribute('aria-expanded', 'true');
+        input.focus();
+    }
+
+    /**
+     * Closes the palette and gives focus back
+     */
+    function close() {
+        if (!isOpen()) return;
+
+        if (typeof dialog.close === 'function') {
+            dialog.close();
+        } else {
+            dialog.removeAttribute('open');
+        }
+
+        input.setAttribute('aria-expanded', 'false');
+
+        if (returnFocus && document.contains(returnFocus)) {
+            returnFocus.focus();
+        }
+        returnFocus = null;
+    }
+
+    /**
+     * Opens the palette, or closes it if it is open
+     */
+    function toggle() {
+        if (isOpen()) {
+            close();
+        } else {
+            open();
+        }
+    }
+
+    /**
+     * Checks whether the palette is open
+     * @returns {boolean}
+     */
+    function isOpen() {
+        return Boolean(dialog && dialog.hasAttribute('open'));
+    }
+
+    /**
+     * Finds the palette markup and binds its events
+     */
+    function init() {
+        if (isInitialized) return;
+
+        dialog = document.getElementById(CONFIG.dialogId);
+        if (!dialog) return;
+
+        input = dialog.querySelector(CONFIG.inputSelector);
+        list = dialog.querySelector(CONFIG.listSelector);
+        if (!input || !list) return;
+
+        bindEvents();
+        isInitialized = true;
+    }
+
+    /**
+     * Closes the palette and the toast and removes the listeners
+     */
+    function destroy() {
+        if (!isInitialized) return;
+
+        close();
+        bindings.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+        bindings = [];
+
+        clearTimeout(toastTimer);
+        toastTimer = null;
+        const toast = document.getElementById(CONFIG.toastId);
+        if (toast) toast.hidden = true;
+
+        dialog = null;
+        input = null;
+        list = null;
+        commands = [];
+        results = [];
+        isInitialized = false;
+    }
+
+    return {
+        init,
+        destroy,
+        open,
+        close,
+        toggle,
+        isOpen
+    };
+
+})();
@@ -0,0 +1,595 @@
+/**
+ * Contact Form Module
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Validates the #contact form with localized messages, keeps a draft in
+ * localStorage and sends it through a pluggable adapter, chosen with
+ * data-contact-adapter on the form:
+ *   - mailto:    opens the visitor's mail client (default, no backend)
+ *   - post:      form-encoded POST to data-contact-endpoint
+ *   - formspree: JSON POST to a Formspree-style data-contact-endpoint
+ * Other adapters can be added with ContactForm.registerAdapter().
+ *
+ * Spam protection stays on the client: a honeypot field, a minimum time
+ * to fill the form and a per-browser rate limit. Bots that fill the
+ * honeypot get a fake success. The fill time counts from the first focus
+ * or keystroke in the form (not from page load) and is skipped when a
+ * draft was restored; sending too fast asks the visitor to wait a few
+ * seconds. scripts/mock-contact-server.js serves the site with a local
+ * endpoint to try the network adapters.
+ */
+
+const ContactForm = (function() {
+    'use strict';
+
+    // ==========================================
+    // Configuration
+    // ==========================================
+    const CONFIG = {
+        formSelector: '.contact-form',
+        statusClass: 'contact-form__status',
+        submitSelector: '.contact-form__submit',
+        honeypotName: 'website',
+        defaultAdapter: 'mailto',
+        draftKey: 'portfolio_contact_draft',
+        draftDelay: 400,
+        draftFields: ['name', 'email', 'message'],
+        // Sending faster than this after the first interaction has to wait
+        minFillTime: 3000,
+        rateLimit: {
+            storageKey: 'portfolio_contact_sent',
+            minInterval: 60 * 1000,
+            maxPerWindow: 3,
+            window: 60 * 60 * 1000
+        },
+        fields: {
+            name: { required: true, minLength: 2, maxLength: 100 },
+            email: { required: true, email: true, maxLength: 254 },
+            message: { required: true, minLength: 10, maxLength: 2000 },
+            consent: { required: true, checkbox: true }
+        },
+        emailPattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+    };
+
+    // ==========================================
+    // Adapters
+    // ==========================================
+
+    /**
+     * Adapters receive the form data and the form's options and resolve to
+     * { ok, mode?, errors? }, where errors is [{ field, message }]
+     */
+    const adapters = {
+        mailto(data, options) {
+            window.location.href = buildMailto(data, options.mailto);
+            return Promise.resolve({ ok: true, mode: 'mailto' });
+        },
+
+        async post(data, options) {
+            const response = await fetch(options.endpoint, {
+                method: 'POST',
+                body: new URLSearchParams(data)
+            });
+
+            return { ok: response.ok };
+        },
+
+        async formspree(data, options) {
+            const response = await fetch(options.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(data)
+            });
+            const body = await response.json().catch(() => ({}));
+
+            return { ok: response.ok, errors: body.errors || [] };
+        }
+    };
+
+    // ==========================================
+    // State
+    // ==========================================
+    let form = null;
+    let startedAt = 0;
+    let draftRestored = false;
+    let draftTimer = null;
+    let isSending = false;
+    let bindings = [];
+    let isInitialized = false;
+
+    // ==========================================
+    // Private Methods
+    // ==========================================
+
+    /**
+     * Builds a mailto: URL with the message ready to send
+     * @param {Object} data - { name, email, message }
+     * @param {string} address - Recipient
+     * @returns {string}
+     */
+    function buildMailto(data, address) {
+        const subject = I18n.t('contact.form.mailSubject', { name: data.name });
+        const body = `${data.message}\n\n— ${data.name} <${data.email}>`;
+
+        return `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+    }
+
+    /**
+     * Reads the adapter settings from the form
+     * @returns {{adapter: string, endpoint: string, mailto: string}}
+     */
+    function getOptions() {
+        return {
+            adapter: form.dataset.contactAdapter || CONFIG.defaultAdapter,
+            endpoint: form.dataset.contactEndpoint || '',
+            mailto: form.dataset.contactMailto || ''
+        };
+    }
+
+    /**
+     * Reads the visible fields
+     * @returns {{name: string, email: string, message: string}}
+     */
+    function getData() {
+        return {
+            name: form.elements.name.value.trim(),
+            email: form.elements.email.value.trim(),
+            message: form.elements.message.value.trim()
+        };
+    }
+
+    /**
+     * Finds the error message of a field
+     * @param {string} name - Field name
+     * @returns {string} Localized message, or '' if the field is valid
+     */
+    function validateField(name) {
+        const rules = CONFIG.fields[name];
+        const field = form.elements[name];
+        const value = rules.checkbox ? field.checked : field.value.trim();
+
+        if (rules.required && !value) {
+            return I18n.t(rules.checkbox ? 'contact.form.errors.consent' : 'contact.form.errors.required');
+        }
+
+        if (rules.email && !CONFIG.emailPattern.test(value)) {
+            return I18n.t('contact.form.errors.email');
+        }
+
+        if (rules.minLength && value.length < rules.minLength) {
+            return I18n.t('contact.form.errors.minLength', { min: rules.minLength });
+        }
+
+        if (rules.maxLength && value.length > rules.maxLength) {
+            return I18n.t('contact.form.errors.maxLength', { max: rules.maxLength });
+        }
+
+        return '';
+    }
+
+    /**
+     * Shows or clears a field's error and its ARIA state
+     * @param {string} name - Field name
+     * @param {string} message - Error message, or '' to clear it
+     */
+    function setFieldError(name, message) {
+        const field = form.elements[name];
+        const error = document.getElementById(`${field.id}-error`);
+
+        field.setAttribute('aria-invalid', Boolean(message).toString());
+
+        if (error) {
+            error.textContent = message;
+            error.hidden = !message;
+        }
+    }
+
+    /**
+     * Validates every field
+     * @returns {string[]} Names of the invalid fields, in form order
+     */
+    function validateAll() {
+        return Object.keys(CONFIG.fields).filter(name => {
+            const message = validateField(name);
+            setFieldError(name, message);
+            return Boolean(message);
+        });
+    }
+
+    /**
+     * Shows a message under the submit button
+     * @param {string} type - 'success', 'error' or '' to clear it
+     * @param {string} [message]
+     * @param {HTMLElement} [extra] - Appended after the message (e.g., a fallback link)
+     */
+    function setStatus(type, message = '', extra = null) {
+        const status = form.querySelector(`.${CONFIG.statusClass}`);
+        if (!status) return;
+
+        status.className = CONFIG.statusClass;
+        if (type) status.classList.add(`${CONFIG.statusClass}--${type}`);
+        status.replaceChildren(...[message, extra && ' ', extra].filter(Boolean));
+    }
+
+    /**
+     * Builds the "send it by email instead" link shown when sending fails
+     * @param {Object} data - Form data
+     * @returns {HTMLAnchorElement}
+     */
+    function createFallbackLink(data) {
+        const link = document.createElement('a');
+
+        link.className = 'contact-form__fallback';
+        link.href = buildMailto(data, getOptions().mailto);
+        link.textContent = I18n.t('contact.form.fallback', 'Enviarlo por email');
+
+        return link;
+    }
+
+    /**
+     * Toggles the sending state of the submit button
+     * @param {boolean} sending
+     */
+    function setSending(sending) {
+        const submit = form.querySelector(CONFIG.submitSelector);
+        const label = submit && submit.querySelector('[data-i18n]');
+
+        isSending = sending;
+        form.setAttribute('aria-busy', sending.toString());
+
+        if (submit) {
+            submit.disabled = sending;
+        }
+
+        if (label) {
+            label.textContent = I18n.t(sending ? 'contact.form.sending' : 'contact.form.submit');
+        }
+    }
+
+    // ==========================================
+    // Drafts
+    // ==========================================
+
+    /**
+     * Saves the visible fields so an accidental reload doesn't lose them
+     */
+    function saveDraft() {
+        const data = getData();
+
+        try {
+            if (CONFIG.draftFields.some(name => data[name])) {
+                localStorage.setItem(CONFIG.draftKey, JSON.stringify(data));
+            } else {
+                localStorage.removeItem(CONFIG.draftKey);
+            }
+        } catch (e) {
+            // localStorage not available
+        }
+    }
+
+    /**
+     * Fills the form from a saved draft
+     * @returns {boolean} Whether any field was restored
+     */
+    function restoreDraft() {
+        let restored = false;
+
+        try {
+            const draft = JSON.parse(localStorage.getItem(CONFIG.draftKey) || 'null');
+            if (!draft) return false;
+
+            CONFIG.draftFields.forEach(name => {
+                if (typeof draft[name] === 'string' && draft[name] && !form.elements[name].value) {
+                    form.elements[name].value = draft[name];
+                    restored = true;
+                }
+            });
+        } catch (e) {
+            // localStorage not available or draft unreadable
+        }
+
+        return restored;
+    }
+
+    /**
+     * Forgets the saved draft
+     */
+    function clearDraft() {
+        clearTimeout(draftTimer);
+
+        try {
+            localStorage.removeItem(CONFIG.draftKey);
+        } catch (e) {
+            // localStorage not available
+        }
+    }
+
+    // ==========================================
+    // Spam Protection
+    // ==========================================
+
+    /**
+     * Reads the recent submission times, dropping the expired ones
+     * @returns {number[]} Timestamps, oldest first
+     */
+    function getRecentSubmissions() {
+        const { storageKey, window: windowMs } = CONFIG.rateLimit;
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(storageKey) || '[]');
+            return Array.isArray(stored) ? stored.filter(time => Date.now() - time < windowMs) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Records a submission for the rate limit
+     */
+    function recordSubmission() {
+        try {
+            const times = [...getRecentSubmissions(), Date.now()];
+            localStorage.setItem(CONFIG.rateLimit.storageKey, JSON.stringify(times));
+        } catch (e) {
+            // localStorage not available
+        }
+    }
+
+    /**
+     * Works out how long the visitor has to wait before sending again
+     * @returns {number} Milliseconds, 0 if sending is allowed
+     */
+    function getRateLimitWait() {
+        const { minInterval, maxPerWindow, window: windowMs } = CONFIG.rateLimit;
+        const times = getRecentSubmissions();
+        const now = Date.now();
+        let wait = 0;
+
+        if (times.length) {
+            wait = Math.max(wait, times[times.length - 1] + minInterval - now);
+        }
+
+        if (times.length >= maxPerWindow) {
+            wait = Math.max(wait, times[times.length - maxPerWindow] + windowMs - now);
+        }
+
+        return Math.max(wait, 0);
+    }
+
+    /**
+     * Checks the honeypot, which people never see
+     * @returns {boolean} Whether the submission looks automated
+     */
+    function looksLikeBot() {
+        const honeypot = form.elements[CONFIG.honeypotName];
+        return Boolean(honeypot && honeypot.value);
+    }
+
+    /**
+     * Starts the fill timer on the first focus or keystroke in the form
+     */
+    function startTimer() {
+        if (!startedAt) startedAt = Date.now();
+    }
+
+    /**
+     * Works out how long the visitor has to wait before the form counts
+     * as filled in by hand
+     * @returns {number} Milliseconds, 0 if sending is allowed
+     */
+    function getFillTimeWait() {
+        // A restored draft was typed on an earlier visit
+        if (draftRestored) return 0;
+
+        // Submitted without ever touching the form: start counting now
+        startTimer();
+
+        return Math.max(startedAt + CONFIG.minFillTime - Date.now(), 0);
+    }
+
+    // ==========================================
+    // Submission
+    // ==========================================
+
+    /**
+     * Sends the form through the configured adapter
+     * @returns {Promise<void>}
+     */
+    async function send() {
+        const data = getData();
+        const options = getOptions();
+        const adapter = adapters[options.adapter];
+
+        if (!adapter) {
+            console.error(`[ContactForm] Unknown adapter: ${options.adapter}`);
+            setStatus('error', I18n.t('contact.form.error'), createFallbackLink(data));
+            return;
+        }
+
+        setSending(true);
+        setStatus('');
+
+        try {
+            const result = await adapter(data, options);
+
+            if (result.ok) {
+                recordSubmission();
+                clearDraft();
+                // The next message is timed from its own first interaction
+                startedAt = 0;
+                draftRestored = false;
+                form.reset();
+                Object.keys(CONFIG.fields).forEach(name => setFieldError(name, ''));
+                setStatus('success', I18n.t(result.mode === 'mailto' ? 'contact.form.mailtoOpened' : 'contact.form.success'));
+                return;
+            }
+
+            // Show field errors reported by the endpoint next to their fields
+            (result.errors || [])
+                .filter(error => error.field && CONFIG.fields[error.field] && error.message)
+                .forEach(error => setFieldError(error.field, error.message));
+
+            setStatus('error', I18n.t('contact.form.error'), createFallbackLink(data));
+        } catch (error) {
+            console.error('[ContactForm] Sending failed:', error);
+            setStatus('error', I18n.t('contact.form.error'), createFallbackLink(data));
+        } finally {
+            setSending(false);
+        }
+    }
+
+    /**
+     * Validates and sends the form, unless it looks like spam
+     * @param {SubmitEvent} event
+     */
+    function handleSubmit(event) {
+        event.preventDefault();
+        if (isSending) return;
+
+        const invalid = validateAll();
+        if (invalid.length) {
+            setStatus('');
+            form.elements[invalid[0]].focus();
+            return;
+        }
+
+        // Bots get the same answer as people, but nothing is sent
+        if (looksLikeBot()) {
+            setStatus('success', I18n.t('contact.form.success'));
+            return;
+        }
+
+        const fillWait = getFillTimeWait();
+        if (fillWait > 0) {
+            setStatus('error', I18n.t('contact.form.errors.tooFast', { seconds: Math.ceil(fillWait / 1000) }));
+            return;
+        }
+
+        const wait = getRateLimitWait();
+        if (wait > 0) {
+            setStatus('error', I18n.t('contact.form.errors.rateLimit', { minutes: Math.ceil(wait / 60000) }));
+            return;
+        }
+
+        send();
+    }
+
+    /**
+     * Adds an event listener that destroy() removes
+     * @param {EventTarget} target
+     * @param {string} type - Event type
+     * @param {Function} handler
+     */
+    function listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        bindings.push([target, type, handler]);
+    }
+
+    /**
+     * Binds submission, live validation and draft saving
+     */
+    function bindEvents() {
+        listen(form, 'submit', handleSubmit);
+        listen(form, 'focusin', startTimer);
+
+        // Validate a field once the visitor leaves it, then on every change
+        listen(form, 'focusout', (event) => {
+            const name = event.target.name;
+            if (CONFIG.fields[name]) setFieldError(name, validateField(name));
+        });
+
+        listen(form, 'input', (event) => {
+            const name = event.target.name;
+
+            startTimer();
+
+            if (CONFIG.fields[name] && event.target.getAttribute('aria-invalid') === 'true') {
+                setFieldError(name, validateField(name));
+            }
+
+            if (CONFIG.draftFields.includes(name)) {
+                clearTimeout(draftTimer);
+                draftTimer = setTimeout(saveDraft, CONFIG.draftDelay);
+            }
+        });
+
+        // Re-translate the errors on screen
+        listen(document, 'languageChanged', () => {
+            Object.keys(CONFIG.fields).forEach(name => {
+                if (form.elements[name].getAttribute('aria-invalid') === 'true') {
+                    setFieldError(name, validateField(name));
+                }
+            });
+        });
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    /**
+     * Adds or replaces a submit adapter
+     * @param {string} name - Value for data-contact-adapter
+     * @param {Function} send - (data, options) => Promise<{ok, mode?, errors?}>
+     * @example
+     * ContactForm.registerAdapter('console', async (data) => {
+     *     console.log(data);
+     *     return { ok: true };
+     * });
+     */
+    function registerAdapter(name, send) {
+        if (typeof send !== 'function') {
+            console.error(`[ContactForm] Adapter "${name}" must be a function`);
+            return;
+        }
+
+        adapters[name] = send;
+    }
+
+    /**
+     * Finds the form, restores the draft and binds its events
+     */
+    function init() {
+        if (isInitialized) return;
+
+        form = document.querySelector(CONFIG.formSelector);
+        if (!form) return;
+
+        startedAt = 0;
+        draftRestored = restoreDraft();
+        bindEvents();
+
+        isInitialized = true;
+    }
+
+    /**
+     * Saves a pending draft and removes the listeners; what's typed stays
+     */
+    function destroy() {
+        if (!isInitialized) return;
+
+        if (draftTimer !== null) {
+            clearTimeout(draftTimer);
+            draftTimer = null;
+            saveDraft();
+        }
+
+        bindings.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+        bindings = [];
+
+        form = null;
+        startedAt = 0;
+        draftRestored = false;
+        isInitialized = false;
+    }
+
+    return {
+        init,
+        destroy,
+        registerAdapter
+    };
+
+})();
@@ -0,0 +1,136 @@
+/**
+ * CV Links Module
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Points every [data-cv-link] at the CV in the current language and
+ * follows language changes. data/cv.json (written by scripts/build-cv.js)
+ * lists the printable HTML CV of every language and the PDF when one was
+ * generated. A language without a PDF gets its printable HTML CV, which
+ * opens in the browser instead of downloading; without either, the links
+ * fall back to the default language's CV.
+ */
+
+const CvLinks = (function() {
+    'use strict';
+
+    // ==========================================
+    // Configuration
+    // ==========================================
+    const CONFIG = {
+        manifestPath: 'data/cv.json',
+        linkSelector: '[data-cv-link]',
+        fallbackLang: 'es',
+        // Used when data/cv.json can't be loaded
+        defaultFile: 'assets/docs/cv/es.html'
+    };
+
+    // ==========================================
+    // State
+    // ==========================================
+    let files = {};
+    let initPromise = null;
+
+    // ==========================================
+    // Private Methods
+    // ==========================================
+
+    /**
+     * Fetches the list of generated CVs
+     * @returns {Promise<Object>} { lang: { html, pdf? } } map, or {} on failure
+     */
+    async function fetchManifest() {
+        try {
+            const response = await fetch(`${I18n.getBasePath()}${CONFIG.manifestPath}`);
+
+            if (!response.ok) {
+                throw new Error(`Failed to load ${CONFIG.manifestPath}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('[CvLinks] Error loading CV list:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Updates the links for the current language
+     */
+    function update() {
+        const lang = I18n.getCurrentLanguage();
+        const { file, lang: fileLang, type } = resolve(lang);
+        const href = `${I18n.getBasePath()}${file}`;
+
+        document.querySelectorAll(CONFIG.linkSelector).forEach(link => {
+            link.setAttribute('href', href);
+
+            // The printable HTML CV is meant to be opened, not saved
+            if (type === 'pdf') {
+                link.setAttribute('download', file.split('/').pop());
+            } else {
+                link.removeAttribute('download');
+            }
+
+            // Tell assistive tech when the CV isn't in the page's language
+            link.setAttribute('hreflang', fileLang);
+        });
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    /**
+     * Finds the CV for a language, following the fallbacks: its PDF, its
+     * printable HTML, then the same for the default language
+     * @param {string} lang - Language code
+     * @returns {{file: string, lang: string, type: string}} Path from the
+     *          site root, the CV's language and 'pdf' or 'html'
+     * @example
+     * CvLinks.resolve('ca'); // { file: 'assets/docs/cv/ca.html', lang: 'ca', type: 'html' }
+     */
+    function resolve(lang) {
+        const match = [lang, CONFIG.fallbackLang].find(code => files[code]);
+        if (!match) return { file: CONFIG.defaultFile, lang: CONFIG.fallbackLang, type: 'html' };
+
+        const { pdf, html } = files[match];
+        return pdf ? { file: pdf, lang: match, type: 'pdf' } : { file: html, lang: match, type: 'html' };
+    }
+
+    /**
+     * Loads the CV list, updates the links and follows language changes
+     * @returns {Promise<void>}
+     */
+    function init() {
+        if (!initPromise) {
+            initPromise = fetchManifest().then(data => {
+                files = data;
+                update();
+                document.addEventListener('languageChanged', update);
+            });
+        }
+
+        return initPromise;
+    }
+
+    /**
+     * Stops following language changes; the links keep their last CV
+     * @returns {Promise<void>}
+     */
+    function destroy() {
+        if (!initPromise) return Promise.resolve();
+
+        return initPromise.then(() => {
+            document.removeEventListener('languageChanged', update);
+            files = {};
+            initPromise = null;
+        });
+    }
+
+    return {
+        init,
+        destroy,
+        resolve
+    };
+
+})();
@@ -0,0 +1,288 @@
+/**
+ * Features Module
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Small registry for the page's features. Each feature has an init hook,
+ * an optional destroy hook and the names of the features it depends on;
+ * a feature starts once all its dependencies have (hooks may return a
+ * promise) and is torn down after everything that depends on it.
+ *
+ * A feature with a `lazy` selector waits until one of those elements
+ * scrolls near the viewport, so heavy sections only start when needed.
+ *
+ * Status: 'idle' → 'waiting' (lazy) → 'starting' → 'ready' | 'failed'
+ */
+
+const Features = (function() {
+    'use strict';
+
+    // ==========================================
+    // Configuration
+    // ==========================================
+    const CONFIG = {
+        // How close to the viewport a lazy feature's section starts it
+        lazyRootMargin: '200px 0px'
+    };
+
+    // ==========================================
+    // State
+    // ==========================================
+    const registry = new Map();
+
+    // ==========================================
+    // Private Methods
+    // ==========================================
+
+    /**
+     * Gets a registered feature
+     * @param {string} name - Feature name
+     * @returns {Object} Feature record
+     * @throws {Error} If the feature isn't registered
+     */
+    function getFeature(name) {
+        const feature = registry.get(name);
+
+        if (!feature) {
+            throw new Error(`[Features] Unknown feature: ${name}`);
+        }
+
+        return feature;
+    }
+
+    /**
+     * Finds dependency cycles and dependencies that aren't registered
+     * @returns {string[]} Problems found, empty when the graph is valid
+     */
+    function validate() {
+        const problems = [];
+        const visited = new Set();
+
+        function visit(name, path) {
+            if (path.includes(name)) {
+                problems.push(`circular dependency ${[...path, name].join(' → ')}`);
+                return;
+            }
+
+            if (visited.has(name)) return;
+            visited.add(name);
+
+            registry.get(name).deps.forEach(dep => {
+                if (!registry.has(dep)) {
+                    problems.push(`"${name}" depends on unknown feature "${dep}"`);
+                } else {
+                    visit(dep, [...path, name]);
+                }
+            });
+        }
+
+        registry.forEach((feature, name) => visit(name, []));
+        return problems;
+    }
+
+    /**
+     * Lists the started (or stopping) features that depend on a feature
+     * @param {string} name - Feature name
+     * @returns {string[]}
+     */
+    function getDependents(name) {
+        return Array.from(registry.values())
+            .filter(feature => feature.deps.includes(name) && (feature.promise || feature.teardown))
+            .map(feature => feature.name);
+    }
+
+    /**
+     * Tears a feature down once its dependents are gone
+     * @param {Object} feature - Feature record
+     * @returns {Promise<void>}
+     */
+    async function teardown(feature) {
+        const promise = feature.promise;
+        feature.promise = null;
+
+        if (feature.observer) {
+            feature.observer.disconnect();
+            feature.observer = null;
+        }
+
+        await Promise.all(getDependents(feature.name).map(destroy));
+
+        if (promise) {
+            try {
+                await promise;
+                if (feature.destroy) await feature.destroy();
+            } catch (error) {
+                // Failed to start: nothing to undo
+            }
+        }
+
+        feature.status = 'idle';
+    }
+
+    /**
+     * Starts a lazy feature when its section gets near the viewport
+     * @param {Object} feature - Feature record
+     */
+    function observe(feature) {
+        const targets = document.querySelectorAll(feature.lazy);
+
+        // Nothing to wait for: start right away
+        if (!targets.length || typeof IntersectionObserver !== 'function') {
+            load(feature.name).catch(() => {});
+            return;
+        }
+
+        feature.status = 'waiting';
+        feature.observer = new IntersectionObserver(entries => {
+            if (!entries.some(entry => entry.isIntersecting)) return;
+
+            feature.observer.disconnect();
+            feature.observer = null;
+            // Failures are already reported by load()
+            load(feature.name).catch(() => {});
+        }, { rootMargin: CONFIG.lazyRootMargin });
+
+        targets.forEach(target => feature.observer.observe(target));
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    /**
+     * Registers a feature
+     * @param {string} name - Unique feature name
+     * @param {Object} definition
+     * @param {Function} definition.init - Starts the feature; may return a promise
+     * @param {Function} [definition.destroy] - Undoes init()
+     * @param {string[]} [definition.deps=[]] - Features that must be ready first
+     * @param {string} [definition.lazy] - Selector of the section that starts it on scroll
+     * @example
+     * Features.register('projectDetail', { deps: ['projects'], init: ProjectDetail.init });
+     */
+    function register(name, { init, destroy = null, deps = [], lazy = null }) {
+        if (registry.has(name)) {
+            console.warn(`[Features] "${name}" is already registered`);
+            return;
+        }
+
+        registry.set(name, {
+            name,
+            init,
+            destroy,
+            deps,
+            lazy,
+            status: 'idle',
+            promise: null,
+            teardown: null,
+            observer: null
+        });
+    }
+
+    /**
+     * Starts a feature now, after its dependencies, even if it's lazy
+     * @param {string} name - Feature name
+     * @returns {Promise<void>} Rejects if the feature or a dependency fails
+     */
+    function load(name) {
+        const feature = getFeature(name);
+
+        if (feature.promise) {
+            return feature.promise;
+        }
+
+        if (feature.observer) {
+            feature.observer.disconnect();
+            feature.observer = null;
+        }
+
+        feature.status = 'starting';
+        feature.promise = Promise.all(feature.deps.map(load))
+            .then(() => Promise.resolve().then(() => feature.init()).catch(error => {
+                // Only the failing feature logs; its dependents just fail with it
+                console.error(`[Features] "${name}" failed to start:`, error);
+                throw error;
+            }))
+            .then(() => {
+                feature.status = 'ready';
+            }, error => {
+                feature.status = 'failed';
+                throw error;
+            });
+
+        return feature.promise;
+    }
+
+    /**
+     * Starts every registered feature, lazy ones when their section is near
+     * @returns {Promise<void>} Resolves once every eager feature has settled
+     */
+    function start() {
+        const problems = validate();
+
+        if (problems.length) {
+            problems.forEach(problem => console.error(`[Features] ${problem}`));
+            return Promise.reject(new Error('[Features] Invalid feature graph'));
+        }
+
+        const eager = [];
+
+        registry.forEach(feature => {
+            if (feature.promise || feature.observer) return;
+
+            if (feature.lazy) {
+                observe(feature);
+            } else {
+                // Failures are already reported by load(); the others keep going
+                eager.push(load(feature.name).catch(() => {}));
+            }
+        });
+
+        return Promise.all(eager).then(() => {});
+    }
+
+    /**
+     * Tears a feature down, after everything that depends on it.
+     * It goes back to 'idle' and can be started again.
+     * @param {string} name - Feature name
+     * @returns {Promise<void>}
+     */
+    function destroy(name) {
+        const feature = getFeature(name);
+
+        // Shared, so a feature reached twice (directly and as a dependency) is torn down once
+        if (!feature.teardown) {
+            feature.teardown = teardown(feature).finally(() => {
+                feature.teardown = null;
+            });
+        }
+
+        return feature.teardown;
+    }
+
+    /**
+     * Tears every feature down, dependents first
+     * @returns {Promise<void>}
+     */
+    function destroyAll() {
+        return Promise.all(Array.from(registry.keys()).map(destroy)).then(() => {});
+    }
+
+    /**
+     * Gets a feature's status
+     * @param {string} name - Feature name
+     * @returns {string} 'idle', 'waiting', 'starting', 'ready' or 'failed'
+     */
+    function getStatus(name) {
+        return getFeature(name).status;
+    }
+
+    return {
+        register,
+        load,
+        start,
+        destroy,
+        destroyAll,
+        getStatus
+    };
+
+})();
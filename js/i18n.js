@@ -4,6 +4,16 @@
  * 
  * Handles language switching and text translation for the portfolio.
  * Supports ES, EN, and CA languages with localStorage persistence.
+ * The language can also be set from the URL (/en/ or ?lang=en), which
+ * is kept in sync through the History API along with hreflang links.
+ * Keys missing from a locale are resolved per key through a fallback
+ * chain (e.g. ca → es → en) instead of swapping the whole file.
+ * Locale files are cached in memory and in localStorage (versioned), and
+ * the other languages are preloaded when idle so switching is instant.
+ * Messages may use ICU-style placeholders ({name}) and plural/select
+ * rules, e.g. "{count, plural, one {# proyecto} other {# proyectos}}".
+ * languageChanged only fires on switches; I18n.ready resolves once the
+ * first language is on the page.
  */
 
 const I18n = (function() {
@@ -16,7 +26,34 @@ const I18n = (function() {
         defaultLang: 'es',
         supportedLangs: ['es', 'en', 'ca'],
         storageKey: 'portfolio_lang',
-        localesPath: './locales'
+        cacheKey: 'portfolio_i18n_cache',
+        // Bump to drop every persisted locale file (e.g. after reshaping the JSON)
+        cacheVersion: 1,
+        localesPath: 'locales',
+        siteUrl: 'https://cgvrzon.github.io/',
+        queryParam: 'lang',
+        // How setLanguage() writes the URL: 'query' (?lang=en) or 'path' (/en/, prerendered)
+        urlStrategy: 'path',
+        ogLocales: {
+            es: 'es_ES',
+            en: 'en_US',
+            ca: 'ca_ES'
+        },
+        // Languages tried, in order, when a key is missing from the current one
+        fallbackChain: ['es', 'en'],
+        debug: false,
+        dateFormats: {
+            short: { day: 'numeric', month: 'short', year: 'numeric' },
+            long: { day: 'numeric', month: 'long', year: 'numeric' },
+            monthYear: { month: 'long', year: 'numeric' },
+            year: { year: 'numeric' }
+        },
+        numberFormats: {
+            integer: { maximumFractionDigits: 0 },
+            decimal: { maximumFractionDigits: 2 },
+            percent: { style: 'percent' },
+            compact: { notation: 'compact' }
+        }
     };
 
     // ==========================================
@@ -24,41 +61,113 @@ const I18n = (function() {
     // ==========================================
     let currentLang = CONFIG.defaultLang;
     let translations = {};
-    let isInitialized = false;
+    let catalogs = {};
+    let pendingLoads = {};
+    let initPromise = null;
+    let resolveReady = null;
+    const ready = new Promise(resolve => {
+        resolveReady = resolve;
+    });
 
     // ==========================================
     // Private Methods
     // ==========================================
 
     /**
-     * Detects user's preferred language from browser or localStorage
+     * Reads the language from the URL path prefix (/en/) or query (?lang=en)
+     * @returns {string|null} Language code, or null if the URL has none
+     */
+    function getLanguageFromUrl() {
+        const directory = window.location.pathname.replace(/[^/]*$/, '');
+        const pathLang = directory.split('/').filter(Boolean).pop();
+        if (pathLang && CONFIG.supportedLangs.includes(pathLang)) {
+            return pathLang;
+        }
+
+        const queryLang = new URLSearchParams(window.location.search).get(CONFIG.queryParam);
+        if (queryLang && CONFIG.supportedLangs.includes(queryLang)) {
+            return queryLang;
+        }
+
+        return null;
+    }
+
+    /**
+     * Gets the site root for a path, dropping the file name and any language prefix
+     * @param {string} pathname - URL pathname (e.g., '/en/index.html')
+     * @returns {string} Base path ending in '/' (e.g., '/')
+     */
+    function getBasePath(pathname) {
+        const directory = pathname.replace(/[^/]*$/, '');
+        const segments = directory.split('/').filter(Boolean);
+
+        if (CONFIG.supportedLangs.includes(segments[segments.length - 1])) {
+            segments.pop();
+        }
+
+        return `/${segments.map(segment => `${segment}/`).join('')}`;
+    }
+
+    /**
+     * Builds the URL that serves a language, keeping other query params and the hash
+     * @param {string} lang - Language code
+     * @param {string} url - URL to start from
+     * @returns {string} Absolute URL for the language
+     */
+    function buildLanguageUrl(lang, url) {
+        const target = new URL(url);
+
+        target.pathname = getBasePath(target.pathname);
+        target.searchParams.delete(CONFIG.queryParam);
+
+        if (lang !== CONFIG.defaultLang) {
+            if (CONFIG.urlStrategy === 'path') {
+                target.pathname += `${lang}/`;
+            } else {
+                target.searchParams.set(CONFIG.queryParam, lang);
+            }
+        }
+
+        return target.href;
+    }
+
+    /**
+     * Detects user's preferred language from URL, localStorage or browser
      * @returns {string} Language code
      */
     function detectLanguage() {
-        // 1. Check localStorage first (user preference)
+        // 1. Check the URL (shared links win over everything else)
+        const urlLang = getLanguageFromUrl();
+        if (urlLang) {
+            return urlLang;
+        }
+
+        // 2. Check localStorage (user preference)
         const storedLang = localStorage.getItem(CONFIG.storageKey);
         if (storedLang && CONFIG.supportedLangs.includes(storedLang)) {
             return storedLang;
         }
 
-        // 2. Check browser language
+        // 3. Check browser language
         const browserLang = navigator.language?.split('-')[0];
         if (browserLang && CONFIG.supportedLangs.includes(browserLang)) {
             return browserLang;
         }
 
-        // 3. Fallback to default
+        // 4. Fallback to default
         return CONFIG.defaultLang;
     }
 
     /**
      * Fetches translation file for a given language
      * @param {string} lang - Language code
+     * @param {boolean} [silent=false] - Don't log failures (background revalidation)
      * @returns {Promise<Object>} Translation object
      */
-    async function fetchTranslations(lang) {
+    async function fetchTranslations(lang, silent = false) {
         try {
-            const response = await fetch(`${CONFIG.localesPath}/${lang}.json`);
+            const basePath = getBasePath(window.location.pathname);
+            const response = await fetch(`${basePath}${CONFIG.localesPath}/${lang}.json`);
             
             if (!response.ok) {
                 throw new Error(`Failed to load translations for: ${lang}`);
@@ -66,18 +175,172 @@ const I18n = (function() {
             
             return await response.json();
         } catch (error) {
-            console.error(`[i18n] Error loading translations:`, error);
-            
-            // If not default language, try fallback
-            if (lang !== CONFIG.defaultLang) {
-                console.warn(`[i18n] Falling back to ${CONFIG.defaultLang}`);
-                return fetchTranslations(CONFIG.defaultLang);
+            if (!silent) {
+                console.error(`[i18n] Error loading translations:`, error);
             }
             
+            // Missing keys are resolved through the fallback chain
             return {};
         }
     }
 
+    /**
+     * Builds the lookup order for a language
+     * @param {string} lang - Language code
+     * @returns {string[]} Language codes, current one first
+     */
+    function getFallbackChain(lang) {
+        return [lang, ...CONFIG.fallbackChain]
+            .filter((code, index, chain) => chain.indexOf(code) === index)
+            .filter(code => CONFIG.supportedLangs.includes(code));
+    }
+
+    /**
+     * Reads a language from the persistent cache
+     * @param {string} lang - Language code
+     * @returns {Object|null} Cached translations, or null if missing or stale
+     */
+    function readCache(lang) {
+        try {
+            const entry = JSON.parse(localStorage.getItem(`${CONFIG.cacheKey}_${lang}`));
+            return entry && entry.version === CONFIG.cacheVersion ? entry.data : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Writes a language to the persistent cache
+     * @param {string} lang - Language code
+     * @param {Object} data - Translations
+     */
+    function writeCache(lang, data) {
+        try {
+            localStorage.setItem(`${CONFIG.cacheKey}_${lang}`, JSON.stringify({
+                version: CONFIG.cacheVersion,
+                savedAt: Date.now(),
+                data
+            }));
+        } catch (error) {
+            console.warn('[i18n] Could not cache translations:', error);
+        }
+    }
+
+    /**
+     * Removes cached languages written by another cache version
+     */
+    function pruneCache() {
+        try {
+            Object.keys(localStorage)
+                .filter(key => key.startsWith(`${CONFIG.cacheKey}_`))
+                .filter(key => !readCache(key.slice(CONFIG.cacheKey.length + 1)))
+                .forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+            // localStorage not available
+        }
+    }
+
+    /**
+     * Refreshes a cached language from the network in the background and
+     * re-renders the page if it changed and is in use
+     * @param {string} lang - Language code
+     * @param {Object} cached - Currently cached translations
+     */
+    async function revalidate(lang, cached) {
+        const fresh = await fetchTranslations(lang, true);
+
+        if (!Object.keys(fresh).length || JSON.stringify(fresh) === JSON.stringify(cached)) {
+            return;
+        }
+
+        writeCache(lang, fresh);
+        catalogs[lang] = fresh;
+
+        if (getFallbackChain(currentLang).includes(lang)) {
+            translations = catalogs[currentLang];
+            applyTranslations();
+            updateDocumentMeta();
+        }
+    }
+
+    /**
+     * Gets a language from the persistent cache (revalidating it in the
+     * background) or, failing that, from the network
+     * @param {string} lang - Language code
+     * @returns {Promise<Object>} Translation object
+     */
+    async function getTranslations(lang) {
+        const cached = readCache(lang);
+
+        if (cached) {
+            revalidate(lang, cached);
+            return cached;
+        }
+
+        const data = await fetchTranslations(lang);
+        if (Object.keys(data).length) {
+            writeCache(lang, data);
+        }
+
+        return data;
+    }
+
+    /**
+     * Loads a single language into memory, sharing in-flight requests
+     * @param {string} lang - Language code
+     * @returns {Promise<void>}
+     */
+    function loadCatalog(lang) {
+        if (catalogs[lang]) return Promise.resolve();
+
+        if (!pendingLoads[lang]) {
+            pendingLoads[lang] = getTranslations(lang).then(data => {
+                catalogs[lang] = data;
+                delete pendingLoads[lang];
+            });
+        }
+
+        return pendingLoads[lang];
+    }
+
+    /**
+     * Loads a language and every language in its fallback chain
+     * @param {string} lang - Language code
+     * @returns {Promise<Object>} Translation object for the language itself
+     */
+    async function loadLanguage(lang) {
+        await Promise.all(getFallbackChain(lang).map(loadCatalog));
+        return catalogs[lang];
+    }
+
+    /**
+     * Loads the remaining supported languages once the browser is idle
+     */
+    function preloadLanguages() {
+        const whenIdle = window.requestIdleCallback || (callback => setTimeout(callback, 1));
+
+        whenIdle(() => {
+            CONFIG.supportedLangs.forEach(loadCatalog);
+        });
+    }
+
+    /**
+     * Resolves a key through the current language's fallback chain
+     * @param {string} key - Dot-notation key
+     * @returns {{value: *, lang: string}|undefined} Value and the language it came from
+     */
+    function resolveKey(key) {
+        for (const lang of getFallbackChain(currentLang)) {
+            const value = getNestedValue(catalogs[lang], key);
+
+            if (value !== undefined && value !== '') {
+                return { value, lang };
+            }
+        }
+
+        return undefined;
+    }
+
     /**
      * Gets a nested value from an object using dot notation
      * @param {Object} obj - Object to search
@@ -90,6 +353,218 @@ const I18n = (function() {
         }, obj);
     }
 
+    /**
+     * Finds the index of the brace that closes the one at `start`
+     * @param {string} message - Message source
+     * @param {number} start - Index of the opening brace
+     * @returns {number} Index of the matching closing brace, or -1
+     */
+    function findClosingBrace(message, start) {
+        let depth = 0;
+
+        for (let i = start; i < message.length; i++) {
+            if (message[i] === '{') depth++;
+            if (message[i] === '}' && --depth === 0) return i;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Parses the option list of a plural/select argument
+     * e.g. "one {# proyecto} other {# proyectos}"
+     * @param {string} source - Options source
+     * @returns {Object} Map of selector to sub-message
+     */
+    function parseOptions(source) {
+        const options = {};
+        let index = 0;
+
+        while (index < source.length) {
+            const open = source.indexOf('{', index);
+            if (open === -1) break;
+
+            const close = findClosingBrace(source, open);
+            if (close === -1) break;
+
+            const selector = source.slice(index, open).trim();
+            options[selector] = source.slice(open + 1, close);
+            index = close + 1;
+        }
+
+        return options;
+    }
+
+    /**
+     * Resolves a single {arg, type, options} expression
+     * @param {string} expression - Text between the outer braces
+     * @param {Object} args - Interpolation values
+     * @returns {string} Resolved text
+     */
+    function formatArgument(expression, args) {
+        const [name, type, ...rest] = expression.split(',');
+        const argName = name.trim();
+        const value = args[argName];
+
+        // Simple placeholder: {name}
+        if (type === undefined) {
+            return value !== undefined ? String(value) : `{${expression}}`;
+        }
+
+        const options = parseOptions(rest.join(','));
+        const argType = type.trim();
+
+        if (argType === 'plural') {
+            const count = Number(value);
+            const exact = options[`=${count}`];
+
+            if (exact !== undefined) {
+                return formatMessage(exact, args, count);
+            }
+
+            const category = new Intl.PluralRules(currentLang).select(count);
+            const branch = options[category] !== undefined ? options[category] : options.other;
+            return branch !== undefined ? formatMessage(branch, args, count) : '';
+        }
+
+        if (argType === 'number') {
+            return formatNumber(value, rest.join(',').trim() || undefined);
+        }
+
+        if (argType === 'date') {
+            return formatDate(value, rest.join(',').trim() || 'long');
+        }
+
+        if (argType === 'select') {
+            const branch = options[String(value)] !== undefined ? options[String(value)] : options.other;
+            return branch !== undefined ? formatMessage(branch, args) : '';
+        }
+
+        console.warn(`[i18n] Unsupported argument type: ${argType}`);
+        return `{${expression}}`;
+    }
+
+    /**
+     * Formats an ICU MessageFormat-style string
+     * Supports {name}, {n, plural, ...} (with =N and #) and {x, select, ...}.
+     * Apostrophes are left untouched so Catalan text needs no escaping.
+     * @param {string} message - Message source
+     * @param {Object} [args] - Interpolation values
+     * @param {number} [pluralValue] - Value that '#' stands for inside a plural branch
+     * @returns {string} Formatted message
+     */
+    function formatMessage(message, args = {}, pluralValue) {
+        if (typeof message !== 'string') {
+            return message;
+        }
+
+        if (!message.includes('{')) {
+            return replacePound(message, pluralValue);
+        }
+
+        let result = '';
+        let index = 0;
+
+        while (index < message.length) {
+            const open = message.indexOf('{', index);
+            const close = open === -1 ? -1 : findClosingBrace(message, open);
+
+            if (close === -1) {
+                result += replacePound(message.slice(index), pluralValue);
+                break;
+            }
+
+            result += replacePound(message.slice(index, open), pluralValue);
+            result += formatArgument(message.slice(open + 1, close), args);
+            index = close + 1;
+        }
+
+        return result;
+    }
+
+    /**
+     * Replaces '#' with the locale-formatted plural value
+     * @param {string} text - Literal text segment
+     * @param {number} [pluralValue] - Current plural value
+     * @returns {string} Text with '#' substituted
+     */
+    function replacePound(text, pluralValue) {
+        if (pluralValue === undefined) return text;
+        return text.replace(/#/g, new Intl.NumberFormat(currentLang).format(pluralValue));
+    }
+
+    /**
+     * Converts a Date, timestamp or ISO string into a Date
+     * Date-only strings (YYYY-MM or YYYY-MM-DD) are read as local time so
+     * they don't shift a day back in timezones west of UTC.
+     * @param {Date|number|string} value - Value to convert ('now' for the current date)
+     * @returns {Date} Parsed date (may be invalid)
+     */
+    function toDate(value) {
+        if (value instanceof Date) return value;
+        if (value === 'now') return new Date();
+
+        const dateOnly = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/);
+        if (dateOnly) {
+            return new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3] || 1));
+        }
+
+        return new Date(value);
+    }
+
+    /**
+     * Resolves Intl options from a preset name, JSON string or object
+     * @param {Object} presets - Named presets from CONFIG
+     * @param {string|Object} [format] - Preset name, JSON options or options object
+     * @returns {Object} Intl options
+     */
+    function resolveFormat(presets, format) {
+        if (!format) return {};
+        if (typeof format === 'object') return format;
+        if (presets[format]) return presets[format];
+
+        try {
+            return JSON.parse(format);
+        } catch (error) {
+            console.warn(`[i18n] Unknown format: ${format}`);
+            return {};
+        }
+    }
+
+    /**
+     * Renders elements with data-i18n-date / data-i18n-number attributes
+     * in the current language. Optional data-i18n-format holds a preset
+     * name (see CONFIG) or a JSON object of Intl options.
+     */
+    function applyFormats() {
+        document.querySelectorAll('[data-i18n-date]').forEach(element => {
+            const format = element.getAttribute('data-i18n-format') || 'long';
+            element.textContent = formatDate(element.getAttribute('data-i18n-date'), format);
+        });
+
+        document.querySelectorAll('[data-i18n-number]').forEach(element => {
+            const format = element.getAttribute('data-i18n-format');
+            element.textContent = formatNumber(element.getAttribute('data-i18n-number'), format);
+        });
+    }
+
+    /**
+     * Reads interpolation values from an element's data-i18n-args attribute
+     * @param {Element} element - Element to read from
+     * @returns {Object|undefined} Parsed arguments
+     */
+    function getElementArgs(element) {
+        const raw = element.getAttribute('data-i18n-args');
+        if (!raw) return undefined;
+
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            console.warn(`[i18n] Invalid data-i18n-args on key: ${element.getAttribute('data-i18n')}`, error);
+            return undefined;
+        }
+    }
+
     /**
      * Applies translations to all elements with data-i18n attribute
      */
@@ -98,7 +573,10 @@ const I18n = (function() {
         
         elements.forEach(element => {
             const key = element.getAttribute('data-i18n');
-            const translation = getNestedValue(translations, key);
+            const resolved = resolveKey(key);
+            const translation = resolved && formatMessage(resolved.value, getElementArgs(element));
+
+            markFallback(element, resolved);
             
             if (translation) {
                 // Check if element has specific attribute to translate
@@ -115,16 +593,32 @@ const I18n = (function() {
         });
     }
 
+    /**
+     * Flags elements rendered from a fallback language (debug mode only)
+     * @param {Element} element - Translated element
+     * @param {{lang: string}|undefined} resolved - Result of resolveKey()
+     */
+    function markFallback(element, resolved) {
+        const fromFallback = resolved && resolved.lang !== currentLang;
+
+        if (CONFIG.debug && fromFallback) {
+            element.setAttribute('data-i18n-fallback', resolved.lang);
+        } else {
+            element.removeAttribute('data-i18n-fallback');
+        }
+    }
+
     /**
      * Updates document metadata (lang, title, description)
      */
     function updateDocumentMeta() {
-        const meta = translations.meta;
-        
-        if (!meta) return;
+        const meta = {
+            title: t('meta.title'),
+            description: t('meta.description')
+        };
 
         // Update html lang attribute
-        document.documentElement.lang = meta.lang || currentLang;
+        document.documentElement.lang = currentLang;
 
         // Update page title
         if (meta.title) {
@@ -147,6 +641,85 @@ const I18n = (function() {
         if (ogDescription && meta.description) {
             ogDescription.setAttribute('content', meta.description);
         }
+
+        updateLanguageLinks();
+    }
+
+    /**
+     * Finds a <head> element by selector, creating it with the given attributes if missing
+     * @param {string} selector - CSS selector
+     * @param {string} tagName - Tag to create ('link' or 'meta')
+     * @param {Object} attrs - Attributes for a new element
+     * @returns {Element} Existing or newly appended element
+     */
+    function upsertHeadElement(selector, tagName, attrs) {
+        let element = document.head.querySelector(selector);
+
+        if (!element) {
+            element = document.createElement(tagName);
+            Object.entries(attrs).forEach(([name, value]) => element.setAttribute(name, value));
+            document.head.appendChild(element);
+        }
+
+        return element;
+    }
+
+    /**
+     * Updates canonical, hreflang alternates, og:url and og:locale tags
+     */
+    function updateLanguageLinks() {
+        const currentUrl = buildLanguageUrl(currentLang, CONFIG.siteUrl);
+
+        upsertHeadElement('link[rel="canonical"]', 'link', { rel: 'canonical' })
+            .setAttribute('href', currentUrl);
+        upsertHeadElement('meta[property="og:url"]', 'meta', { property: 'og:url' })
+            .setAttribute('content', currentUrl);
+
+        [...CONFIG.supportedLangs, 'x-default'].forEach(hreflang => {
+            const lang = hreflang === 'x-default' ? CONFIG.defaultLang : hreflang;
+
+            upsertHeadElement(`link[rel="alternate"][hreflang="${hreflang}"]`, 'link', { rel: 'alternate', hreflang })
+                .setAttribute('href', buildLanguageUrl(lang, CONFIG.siteUrl));
+        });
+
+        const ogLocale = upsertHeadElement('meta[property="og:locale"]', 'meta', { property: 'og:locale' });
+        ogLocale.setAttribute('content', CONFIG.ogLocales[currentLang]);
+
+        // Reuse the existing og:locale:alternate tags so they keep their place in <head>
+        const alternates = Array.from(document.head.querySelectorAll('meta[property="og:locale:alternate"]'));
+        const otherLangs = CONFIG.supportedLangs.filter(lang => lang !== currentLang);
+
+        otherLangs.forEach((lang, index) => {
+            let meta = alternates[index];
+
+            if (!meta) {
+                meta = document.createElement('meta');
+                meta.setAttribute('property', 'og:locale:alternate');
+                (alternates[index - 1] || ogLocale).after(meta);
+                alternates[index] = meta;
+            }
+
+            meta.setAttribute('content', CONFIG.ogLocales[lang]);
+        });
+
+        alternates.slice(otherLangs.length).forEach(meta => meta.remove());
+    }
+
+    /**
+     * Writes the language into the address bar
+     * @param {string} lang - Language code
+     * @param {boolean} [replace=false] - Replace the history entry instead of pushing one
+     */
+    function updateUrl(lang, replace = false) {
+        const url = buildLanguageUrl(lang, window.location.href);
+
+        if (url === window.location.href) return;
+
+        if (replace) {
+            history.replaceState(history.state, '', url);
+        } else {
+            history.pushState({ lang }, '', url);
+        }
     }
 
     /**
@@ -193,32 +766,46 @@ const I18n = (function() {
 
     /**
      * Initializes the i18n system
+     * Repeated calls return the same promise, so callers such as the
+     * prerender script can await an initialization started elsewhere.
      * @returns {Promise<void>}
      */
-    async function init() {
-        if (isInitialized) {
-            console.warn('[i18n] Already initialized');
-            return;
+    function init() {
+        if (!initPromise) {
+            initPromise = initialize().finally(() => resolveReady(currentLang));
         }
 
+        return initPromise;
+    }
+
+    /**
+     * Detects the language, loads it and renders the page
+     * @returns {Promise<void>}
+     */
+    async function initialize() {
         currentLang = detectLanguage();
-        translations = await fetchTranslations(currentLang);
+        pruneCache();
+        translations = await loadLanguage(currentLang);
+        updateUrl(currentLang, true);
         
         applyTranslations();
+        applyFormats();
         updateDocumentMeta();
         updateLangSelector();
         bindEvents();
+        preloadLanguages();
         
-        isInitialized = true;
         console.log(`[i18n] Initialized with language: ${currentLang}`);
     }
 
     /**
      * Changes the current language
      * @param {string} lang - Language code to switch to
+     * @param {Object} [options]
+     * @param {boolean} [options.updateHistory=true] - Push the new language URL onto the history
      * @returns {Promise<boolean>} Success status
      */
-    async function setLanguage(lang) {
+    async function setLanguage(lang, { updateHistory = true } = {}) {
         if (!CONFIG.supportedLangs.includes(lang)) {
             console.error(`[i18n] Unsupported language: ${lang}`);
             return false;
@@ -228,13 +815,15 @@ const I18n = (function() {
             return true;
         }
 
-        translations = await fetchTranslations(lang);
+        translations = await loadLanguage(lang);
         currentLang = lang;
         
         applyTranslations();
+        applyFormats();
         updateDocumentMeta();
         updateLangSelector();
         saveLanguagePreference(lang);
+        if (updateHistory) updateUrl(lang);
         dispatchLanguageChange(lang);
 
         console.log(`[i18n] Language changed to: ${lang}`);
@@ -244,12 +833,110 @@ const I18n = (function() {
     /**
      * Gets translation for a specific key
      * @param {string} key - Dot-notation key (e.g., 'hero.tagline')
-     * @param {string} [fallback] - Fallback text if key not found
+     * @param {string|Object} [fallback] - Fallback text if key not found, or the args object
+     * @param {Object} [args] - Interpolation values (e.g., { count: 3 })
      * @returns {string} Translated text or fallback
+     * @example
+     * I18n.t('projects.count', { count: 3 }); // "3 proyectos"
      */
-    function t(key, fallback = '') {
-        const value = getNestedValue(translations, key);
-        return value !== undefined ? value : fallback;
+    function t(key, fallback = '', args) {
+        if (fallback !== null && typeof fallback === 'object') {
+            args = fallback;
+            fallback = '';
+        }
+
+        const resolved = resolveKey(key);
+
+        if (!resolved) {
+            return fallback;
+        }
+
+        if (CONFIG.debug && resolved.lang !== currentLang) {
+            console.warn(`[i18n] Fallback (${resolved.lang}) for key: ${key}`);
+        }
+
+        return formatMessage(resolved.value, args);
+    }
+
+    /**
+     * Picks the current language's text from a field localized inline,
+     * following the same fallback chain as t()
+     * @param {string|Object} value - Plain string or { es, en, ca }
+     * @returns {string} Text, or '' if no language has one
+     * @example
+     * I18n.localize({ es: 'Hola', en: 'Hello' }); // "Hello" in English
+     */
+    function localize(value) {
+        if (!value || typeof value === 'string') {
+            return value || '';
+        }
+
+        const lang = [...getFallbackChain(currentLang), ...CONFIG.supportedLangs].find(code => value[code]);
+        return lang ? value[lang] : '';
+    }
+
+    /**
+     * Formats a date for the current language
+     * @param {Date|number|string} date - Date, timestamp or ISO string
+     * @param {string|Object} [format='long'] - Preset name ('short', 'long', 'monthYear', 'year') or Intl options
+     * @returns {string} Formatted date, or '' if the date is invalid
+     */
+    function formatDate(date, format = 'long') {
+        const value = toDate(date);
+
+        if (isNaN(value.getTime())) {
+            console.warn(`[i18n] Invalid date: ${date}`);
+            return '';
+        }
+
+        return new Intl.DateTimeFormat(currentLang, resolveFormat(CONFIG.dateFormats, format)).format(value);
+    }
+
+    /**
+     * Formats a number for the current language
+     * @param {number|string} number - Number to format
+     * @param {string|Object} [format] - Preset name ('integer', 'decimal', 'percent', 'compact') or Intl options
+     * @returns {string} Formatted number, or '' if not numeric
+     */
+    function formatNumber(number, format) {
+        const value = Number(number);
+
+        if (isNaN(value)) {
+            console.warn(`[i18n] Invalid number: ${number}`);
+            return '';
+        }
+
+        return new Intl.NumberFormat(currentLang, resolveFormat(CONFIG.numberFormats, format)).format(value);
+    }
+
+    /**
+     * Formats a date relative to now (e.g., "hace 3 semanas", "3 weeks ago")
+     * @param {Date|number|string} date - Date, timestamp or ISO string
+     * @param {Object} [options] - Intl.RelativeTimeFormat options, plus `now` to override the reference date
+     * @returns {string} Relative time, or '' if the date is invalid
+     */
+    function formatRelative(date, options = {}) {
+        const { now = new Date(), ...formatOptions } = options;
+        const value = toDate(date);
+
+        if (isNaN(value.getTime())) {
+            console.warn(`[i18n] Invalid date: ${date}`);
+            return '';
+        }
+
+        const seconds = (value.getTime() - toDate(now).getTime()) / 1000;
+        const units = [
+            ['year', 31536000],
+            ['month', 2592000],
+            ['week', 604800],
+            ['day', 86400],
+            ['hour', 3600],
+            ['minute', 60]
+        ];
+        const [unit, size] = units.find(([, unitSeconds]) => Math.abs(seconds) >= unitSeconds) || ['second', 1];
+
+        return new Intl.RelativeTimeFormat(currentLang, { numeric: 'auto', ...formatOptions })
+            .format(Math.round(seconds / size), unit);
     }
 
     /**
@@ -268,6 +955,25 @@ const I18n = (function() {
         return [...CONFIG.supportedLangs];
     }
 
+    /**
+     * Gets the site root of the current page, so other modules can build
+     * URLs that also work from prerendered /en/ and /ca/ pages
+     * @returns {string} Base path ending in '/' (e.g., '/')
+     */
+    function getSiteBasePath() {
+        return getBasePath(window.location.pathname);
+    }
+
+    /**
+     * Enables debug mode: elements rendered from a fallback language
+     * get a data-i18n-fallback attribute and are outlined on the page
+     */
+    function enableDebug() {
+        CONFIG.debug = true;
+        applyTranslations();
+        console.log('[i18n] Debug mode enabled');
+    }
+
     /**
      * Binds event listeners for language switching
      */
@@ -280,6 +986,12 @@ const I18n = (function() {
                 setLanguage(lang);
             }
         });
+
+        // Back/forward between language URLs
+        window.addEventListener('popstate', () => {
+            const urlLang = getLanguageFromUrl() || CONFIG.defaultLang;
+            setLanguage(urlLang, { updateHistory: false });
+        });
     }
 
     // ==========================================
@@ -287,10 +999,18 @@ const I18n = (function() {
     // ==========================================
     return {
         init,
+        /** @type {Promise<string>} Resolves with the language once init() has rendered it */
+        ready,
         setLanguage,
         t,
+        localize,
+        formatDate,
+        formatNumber,
+        formatRelative,
         getCurrentLanguage,
-        getSupportedLanguages
+        getSupportedLanguages,
+        getBasePath: getSiteBasePath,
+        enableDebug
     };
 
 })();
@@ -3,6 +3,9 @@
  * Author: Carlos Garzón López (cgvrzon)
  * 
  * Initializes all portfolio functionality and manages global state.
+ * Every feature is registered with the Features registry, which starts
+ * them in dependency order (translations first) and can tear them down.
+ * The process stepper and the values wheel only start near their sections.
  */
 
 const Portfolio = (function() {
@@ -20,6 +23,8 @@ const Portfolio = (function() {
     // State
     // ==========================================
     let isInitialized = false;
+    let isRegistered = false;
+    let animationObserver = null;
 
     // ==========================================
     // Logging Utility
@@ -33,30 +38,42 @@ const Portfolio = (function() {
     // ==========================================
     // Feature: Smooth Scroll for Anchor Links
     // ==========================================
+    function handleAnchorClick(event) {
+        const anchor = event.target.closest('a[href^="#"]');
+
+        if (!anchor) return;
+
+        // Case-study links (#projects/arynstal) open the project detail dialog
+        const projectId = ProjectDetail.parseRoute(anchor.getAttribute('href'));
+        if (projectId) {
+            if (ProjectDetail.open(projectId)) event.preventDefault();
+            return;
+        }
+
+        const targetId = anchor.getAttribute('href').slice(1);
+        const targetElement = document.getElementById(targetId);
+
+        if (targetElement) {
+            event.preventDefault();
+            targetElement.scrollIntoView({
+                behavior: 'smooth',
+                block: 'start'
+            });
+
+            // Update URL without triggering scroll
+            history.pushState(null, '', `#${targetId}`);
+        }
+    }
+
     function initSmoothScroll() {
-        document.addEventListener('click', (event) => {
-            const anchor = event.target.closest('a[href^="#"]');
-            
-            if (!anchor) return;
-            
-            const targetId = anchor.getAttribute('href').slice(1);
-            const targetElement = document.getElementById(targetId);
-            
-            if (targetElement) {
-                event.preventDefault();
-                targetElement.scrollIntoView({
-                    behavior: 'smooth',
-                    block: 'start'
-                });
-                
-                // Update URL without triggering scroll
-                history.pushState(null, '', `#${targetId}`);
-            }
-        });
-        
+        document.addEventListener('click', handleAnchorClick);
         log('Smooth scroll initialized');
     }
 
+    function destroySmoothScroll() {
+        document.removeEventListener('click', handleAnchorClick);
+    }
+
     // ==========================================
     // Feature: Intersection Observer for Animations
     // ==========================================
@@ -69,13 +86,13 @@ const Portfolio = (function() {
             return;
         }
 
-        const observer = new IntersectionObserver(
+        animationObserver = new IntersectionObserver(
             (entries) => {
                 entries.forEach(entry => {
                     if (entry.isIntersecting) {
                         entry.target.classList.add('is-visible');
                         // Optionally unobserve after animation
-                        // observer.unobserve(entry.target);
+                        // animationObserver.unobserve(entry.target);
                     }
                 });
             },
@@ -87,12 +104,19 @@ const Portfolio = (function() {
 
         // Observe all elements with animation class
         document.querySelectorAll('.animate-on-scroll').forEach(el => {
-            observer.observe(el);
+            animationObserver.observe(el);
         });
 
         log('Scroll animations initialized');
     }
 
+    function destroyScrollAnimations() {
+        if (animationObserver) {
+            animationObserver.disconnect();
+            animationObserver = null;
+        }
+    }
+
     // ==========================================
     // Feature: External Links Handler
     // ==========================================
@@ -112,31 +136,53 @@ const Portfolio = (function() {
     // ==========================================
     // Feature: Keyboard Navigation Enhancements
     // ==========================================
+    function handleSkipLinkClick(event) {
+        event.preventDefault();
+        const mainContent = document.getElementById('main-content');
+
+        if (mainContent) {
+            mainContent.focus();
+            mainContent.scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+
+    // Ctrl/Cmd+K opens the command palette from anywhere on the page
+    function handleShortcut(event) {
+        if ((event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === 'k') {
+            event.preventDefault();
+            CommandPalette.toggle();
+        }
+    }
+
     function initKeyboardNav() {
         // Skip to main content on Tab (if skip link exists)
         const skipLink = document.querySelector('.skip-link');
         
         if (skipLink) {
-            skipLink.addEventListener('click', (event) => {
-                event.preventDefault();
-                const mainContent = document.getElementById('main-content');
-                
-                if (mainContent) {
-                    mainContent.focus();
-                    mainContent.scrollIntoView({ behavior: 'smooth' });
-                }
-            });
+            skipLink.addEventListener('click', handleSkipLinkClick);
         }
 
+        document.addEventListener('keydown', handleShortcut);
+
         log('Keyboard navigation initialized');
     }
 
+    function destroyKeyboardNav() {
+        const skipLink = document.querySelector('.skip-link');
+
+        if (skipLink) {
+            skipLink.removeEventListener('click', handleSkipLinkClick);
+        }
+
+        document.removeEventListener('keydown', handleShortcut);
+    }
+
     // ==========================================
     // Feature: Current Year in Footer
     // ==========================================
     function initDynamicYear() {
         const yearElements = document.querySelectorAll('[data-current-year]');
-        const currentYear = new Date().getFullYear();
+        const currentYear = I18n.formatDate(new Date(), 'year');
         
         yearElements.forEach(el => {
             el.textContent = currentYear;
@@ -148,84 +194,22 @@ const Portfolio = (function() {
     // ==========================================
     // Feature: Language Change Listener
     // ==========================================
-    function initLanguageListener() {
-        document.addEventListener('languageChanged', (event) => {
-            const { language } = event.detail;
-            log(`Language changed to: ${language}`);
-            
-            // Add any additional actions needed on language change
-            // For example, updating dynamic content or re-initializing components
-        });
+    function handleLanguageChange(event) {
+        const { language } = event.detail;
+        log(`Language changed to: ${language}`);
 
-        log('Language listener initialized');
+        // Add any additional actions needed on language change
+        // For example, updating dynamic content or re-initializing components
+        initDynamicYear();
     }
 
-    // ==========================================
-    // Feature: Process Section Interactivity
-    // ==========================================
-    function initProcessSection() {
-        const steps = document.querySelectorAll('.process-step[data-step]');
-        const markers = document.querySelectorAll('.process__marker[data-step]');
-        const progressFill = document.getElementById('process-progress-fill');
-
-        if (!steps.length || !markers.length || !progressFill) {
-            return;
-        }
-
-        function setActiveStep(stepNumber) {
-            const totalSteps = steps.length;
-            const progressPercentage = ((stepNumber - 1) / (totalSteps - 1)) * 100;
-
-            // Update progress bar
-            progressFill.style.width = `${progressPercentage}%`;
-
-            // Update markers
-            markers.forEach(marker => {
-                const markerStep = parseInt(marker.dataset.step, 10);
-                marker.classList.remove('process__marker--active', 'process__marker--completed');
-
-                if (markerStep === stepNumber) {
-                    marker.classList.add('process__marker--active');
-                } else if (markerStep < stepNumber) {
-                    marker.classList.add('process__marker--completed');
-                }
-            });
-
-            // Update step cards
-            steps.forEach(step => {
-                const cardStep = parseInt(step.dataset.step, 10);
-                step.classList.toggle('process-step--active', cardStep === stepNumber);
-            });
-        }
-
-        // Click handlers for markers
-        markers.forEach(marker => {
-            marker.addEventListener('click', () => {
-                const stepNumber = parseInt(marker.dataset.step, 10);
-                setActiveStep(stepNumber);
-            });
-        });
-
-        // Click handlers for step cards
-        steps.forEach(step => {
-            step.addEventListener('click', () => {
-                const stepNumber = parseInt(step.dataset.step, 10);
-                setActiveStep(stepNumber);
-            });
-        });
-
-        // Hover handlers for step cards (optional preview)
-        steps.forEach(step => {
-            step.addEventListener('mouseenter', () => {
-                const stepNumber = parseInt(step.dataset.step, 10);
-                setActiveStep(stepNumber);
-            });
-        });
-
-        // Initialize at step 1
-        setActiveStep(1);
+    function initLanguageListener() {
+        document.addEventListener('languageChanged', handleLanguageChange);
+        log('Language listener initialized');
+    }
 
-        log('Process section initialized');
+    function destroyLanguageListener() {
+        document.removeEventListener('languageChanged', handleLanguageChange);
     }
 
     // ==========================================
@@ -245,31 +229,105 @@ const Portfolio = (function() {
         console.log('%c¿Tienes alguna pregunta? Escríbeme a garzoncl01@gmail.com', 'color: #a1a1aa');
     }
 
+    // ==========================================
+    // Feature Registry
+    // ==========================================
+
+    /**
+     * Registers every feature with its hooks and dependencies.
+     * I18n and Theme start on their own; their ready promises let the
+     * features that need translations or the theme wait for them.
+     * Every feature that binds listeners or timers has a destroy hook.
+     * externalLinks, dynamicYear and consoleEasterEgg only run once over
+     * the page and have nothing to undo; starting them again just re-runs
+     * them.
+     */
+    function registerFeatures() {
+        Features.register('i18n', { init: () => I18n.ready });
+        Features.register('theme', { init: () => Theme.ready });
+
+        Features.register('smoothScroll', { init: initSmoothScroll, destroy: destroySmoothScroll });
+        Features.register('scrollAnimations', { init: initScrollAnimations, destroy: destroyScrollAnimations });
+        Features.register('externalLinks', { init: initExternalLinks });
+        Features.register('dynamicYear', { deps: ['i18n'], init: initDynamicYear });
+        Features.register('languageListener', {
+            deps: ['dynamicYear'],
+            init: initLanguageListener,
+            destroy: destroyLanguageListener
+        });
+
+        Features.register('processStepper', {
+            deps: ['i18n'],
+            lazy: '#process',
+            init: ProcessStepper.init,
+            destroy: ProcessStepper.destroy
+        });
+        Features.register('valuesCarousel', {
+            deps: ['i18n'],
+            lazy: '.values-grid',
+            init: ValuesCarousel.init,
+            destroy: ValuesCarousel.destroy
+        });
+
+        Features.register('projects', { deps: ['i18n'], init: Projects.init, destroy: Projects.destroy });
+        Features.register('repoMeta', { deps: ['projects'], init: RepoMeta.init, destroy: RepoMeta.destroy });
+        Features.register('projectDetail', { deps: ['projects'], init: ProjectDetail.init, destroy: ProjectDetail.destroy });
+        Features.register('sectionNav', { init: SectionNav.init, destroy: SectionNav.destroy });
+        Features.register('commandPalette', {
+            deps: ['i18n', 'theme'],
+            init: CommandPalette.init,
+            destroy: CommandPalette.destroy
+        });
+        Features.register('keyboardNav', { deps: ['commandPalette'], init: initKeyboardNav, destroy: destroyKeyboardNav });
+        Features.register('contactForm', { deps: ['i18n'], init: ContactForm.init, destroy: ContactForm.destroy });
+        Features.register('cvLinks', { deps: ['i18n'], init: CvLinks.init, destroy: CvLinks.destroy });
+        Features.register('offline', { deps: ['i18n'], init: Offline.init, destroy: Offline.destroy });
+        Features.register('structuredData', {
+            deps: ['projects'],
+            init: StructuredData.init,
+            destroy: StructuredData.destroy
+        });
+        Features.register('shareImage', { deps: ['i18n'], init: ShareImage.init, destroy: ShareImage.destroy });
+        Features.register('analytics', { deps: ['i18n'], init: Analytics.init, destroy: Analytics.destroy });
+        Features.register('consoleEasterEgg', { init: initConsoleEasterEgg });
+
+        isRegistered = true;
+    }
+
     // ==========================================
     // Public API
     // ==========================================
 
     /**
      * Initializes all portfolio features
+     * @returns {Promise<void>} Resolves once every non-lazy feature has started
      */
     function init() {
         if (isInitialized) {
             console.warn('[Portfolio] Already initialized');
-            return;
+            return Promise.resolve();
         }
 
-        initSmoothScroll();
-        initScrollAnimations();
-        initExternalLinks();
-        initKeyboardNav();
-        initDynamicYear();
-        initLanguageListener();
-        initProcessSection();
-        ValuesCarousel.init();
-        initConsoleEasterEgg();
+        if (!isRegistered) {
+            registerFeatures();
+        }
 
         isInitialized = true;
-        log('Portfolio fully initialized');
+
+        return Features.start().then(() => {
+            log('Portfolio fully initialized');
+        });
+    }
+
+    /**
+     * Tears every feature down; init() starts them again
+     * @returns {Promise<void>}
+     */
+    function destroy() {
+        return Features.destroyAll().then(() => {
+            isInitialized = false;
+            log('Portfolio destroyed');
+        });
     }
 
     /**
@@ -282,6 +340,7 @@ const Portfolio = (function() {
 
     return {
         init,
+        destroy,
         enableDebug
     };
 
@@ -0,0 +1,239 @@
+/**
+ * Offline Module
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Registers the service worker (sw.js, generated by scripts/build-sw.js)
+ * that makes the site work offline. When a new version has been
+ * installed, a toast offers to reload; accepting tells the waiting
+ * worker to take over and the page reloads once it does.
+ * The toast is written with I18n.t() and follows language changes.
+ * destroy() stops offering updates; the worker stays registered, so the
+ * site keeps working offline.
+ */
+
+const Offline = (function() {
+    'use strict';
+
+    // ==========================================
+    // Configuration
+    // ==========================================
+    const CONFIG = {
+        workerFile: 'sw.js',
+        spritePath: 'assets/icons/sprite.svg',
+        toastClass: 'update-toast',
+        messageKey: 'offline.update.message',
+        reloadKey: 'offline.update.reload',
+        dismissKey: 'offline.update.dismiss'
+    };
+
+    // ==========================================
+    // State
+    // ==========================================
+    let registration = null;
+    let toast = null;
+    // Set once the visitor accepts the update; the first install also
+    // changes the controller (clients.claim) and must not reload
+    let updateAccepted = false;
+    let isInitialized = false;
+
+    // ==========================================
+    // Private Methods
+    // ==========================================
+
+    /**
+     * Writes the toast texts in the current language
+     */
+    function translateToast() {
+        if (!toast) return;
+
+        toast.querySelector(`.${CONFIG.toastClass}__message`).textContent = I18n.t(CONFIG.messageKey, 'Hay una nueva versión disponible');
+        toast.querySelector(`.${CONFIG.toastClass}__reload`).textContent = I18n.t(CONFIG.reloadKey, 'Actualizar');
+        toast.querySelector(`.${CONFIG.toastClass}__dismiss`).setAttribute('aria-label', I18n.t(CONFIG.dismissKey, 'Ahora no'));
+    }
+
+    /**
+     * Creates the close icon from the SVG sprite
+     * @returns {SVGElement}
+     */
+    function createCloseIcon() {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        const use = document.createElementNS(svgNS, 'use');
+
+        svg.setAttribute('width', '16');
+        svg.setAttribute('height', '16');
+        svg.setAttribute('aria-hidden', 'true');
+        use.setAttribute('href', `${I18n.getBasePath()}${CONFIG.spritePath}#icon-close`);
+        svg.appendChild(use);
+
+        return svg;
+    }
+
+    /**
+     * Builds the "update available" toast
+     * @returns {HTMLElement}
+     */
+    function createToast() {
+        const element = document.createElement('div');
+        const message = document.createElement('p');
+        const reload = document.createElement('button');
+        const dismiss = document.createElement('button');
+
+        element.className = CONFIG.toastClass;
+        element.setAttribute('role', 'status');
+        element.setAttribute('aria-live', 'polite');
+
+        message.className = `${CONFIG.toastClass}__message`;
+
+        reload.type = 'button';
+        reload.className = `${CONFIG.toastClass}__reload`;
+        reload.addEventListener('click', applyUpdate);
+
+        dismiss.type = 'button';
+        dismiss.className = `${CONFIG.toastClass}__dismiss`;
+        dismiss.appendChild(createCloseIcon());
+        dismiss.addEventListener('click', hideToast);
+
+        element.append(message, reload, dismiss);
+        return element;
+    }
+
+    /**
+     * Shows the update toast
+     */
+    function showToast() {
+        if (!isInitialized) return;
+
+        if (!toast) {
+            toast = createToast();
+            document.body.appendChild(toast);
+        }
+
+        translateToast();
+        toast.hidden = false;
+    }
+
+    /**
+     * Hides the update toast (the update applies on the next visit)
+     */
+    function hideToast() {
+        if (toast) toast.hidden = true;
+    }
+
+    /**
+     * Asks the waiting worker to take over; the page reloads on controllerchange
+     */
+    function applyUpdate() {
+        hideToast();
+
+        if (registration && registration.waiting) {
+            updateAccepted = true;
+            registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+        }
+    }
+
+    /**
+     * Offers the update once a new worker has installed behind the current one
+     * @param {ServiceWorker} worker - Installing worker
+     */
+    function trackInstalling(worker) {
+        worker.addEventListener('statechange', () => {
+            // Without a controller this is the first install, not an update
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showToast();
+            }
+        });
+    }
+
+    /**
+     * Watches a new worker that starts installing
+     */
+    function handleUpdateFound() {
+        if (registration.installing) trackInstalling(registration.installing);
+    }
+
+    /**
+     * Reloads once the accepted update has taken over
+     */
+    function handleControllerChange() {
+        if (!updateAccepted) return;
+        updateAccepted = false;
+        window.location.reload();
+    }
+
+    /**
+     * Registers the worker and watches for updates
+     * @returns {Promise<void>}
+     */
+    async function register() {
+        const basePath = I18n.getBasePath();
+
+        try {
+            registration = await navigator.serviceWorker.register(`${basePath}${CONFIG.workerFile}`, { scope: basePath });
+        } catch (error) {
+            console.error('[Offline] Service worker registration failed:', error);
+            return;
+        }
+
+        // destroy() ran while the worker was registering
+        if (!isInitialized) return;
+
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showToast();
+        }
+
+        registration.addEventListener('updatefound', handleUpdateFound);
+        navigator.serviceWorker.addEventListener('controllerchange', handleControllerChange);
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    /**
+     * Registers the service worker after the page has loaded,
+     * so it doesn't compete with the first render
+     */
+    function init() {
+        if (isInitialized || !('serviceWorker' in navigator)) return;
+        isInitialized = true;
+
+        document.addEventListener('languageChanged', translateToast);
+
+        if (document.readyState === 'complete') {
+            register();
+        } else {
+            window.addEventListener('load', register, { once: true });
+        }
+    }
+
+    /**
+     * Stops watching for updates and removes the toast
+     */
+    function destroy() {
+        if (!isInitialized) return;
+        isInitialized = false;
+
+        document.removeEventListener('languageChanged', translateToast);
+        window.removeEventListener('load', register);
+
+        if (registration) {
+            registration.removeEventListener('updatefound', handleUpdateFound);
+            navigator.serviceWorker.removeEventListener('controllerchange', handleControllerChange);
+        }
+
+        if (toast) {
+            toast.remove();
+            toast = null;
+        }
+
+        registration = null;
+        updateAccepted = false;
+    }
+
+    return {
+        init,
+        destroy
+    };
+
+})();
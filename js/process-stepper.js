@@ -0,0 +1,327 @@
+/**
+ * Process Stepper Module
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Drives the #process section: the markers are plain buttons (click, or
+ * arrow keys and Home/End to move between them), the progress bar reports
+ * the selected step through aria-valuenow, and the selected marker and
+ * card carry aria-current="step". Every card stays visible, so the markers
+ * aren't tabs. Hovering a card previews it without losing the selection.
+ *
+ * With data-autoplay="<ms>" on .process__progress, the steps advance on
+ * their own while the section is visible. Autoplay pauses while the
+ * pointer or focus is inside the section, stops for good once the
+ * visitor picks a step, and never starts with reduced motion.
+ * destroy() unbinds everything and puts the section back on step 1.
+ */
+
+const ProcessStepper = (function() {
+    'use strict';
+
+    // ==========================================
+    // Configuration
+    // ==========================================
+    const CONFIG = {
+        sectionId: 'process',
+        progressSelector: '.process__progress',
+        trackSelector: '.process__progress-track',
+        fillId: 'process-progress-fill',
+        markerSelector: '.process__marker[data-step]',
+        stepSelector: '.process-step[data-step]',
+        progressKey: 'process.progress',
+        visibilityThreshold: 0.5
+    };
+
+    // ==========================================
+    // State
+    // ==========================================
+    let section = null;
+    let markers = [];
+    let steps = [];
+    let currentStep = 1;
+    let autoplay = {
+        delay: 0,
+        timer: null,
+        visible: false,
+        paused: false,
+        stopped: false
+    };
+    let observer = null;
+    let bindings = [];
+    let isInitialized = false;
+
+    // ==========================================
+    // Private Methods
+    // ==========================================
+
+    /**
+     * Reads the step number of a marker or card
+     * @param {HTMLElement} element - Element with data-step
+     * @returns {number}
+     */
+    function getStepOf(element) {
+        return parseInt(element.dataset.step, 10);
+    }
+
+    /**
+     * Paints a step: progress fill, marker and card classes
+     * @param {number} stepNumber - Step to show (1-based)
+     */
+    function renderStep(stepNumber) {
+        const fill = document.getElementById(CONFIG.fillId);
+        const progressPercentage = ((stepNumber - 1) / (steps.length - 1)) * 100;
+
+        if (fill) {
+            fill.style.width = `${progressPercentage}%`;
+        }
+
+        markers.forEach(marker => {
+            const markerStep = getStepOf(marker);
+            marker.classList.toggle('process__marker--active', markerStep === stepNumber);
+            marker.classList.toggle('process__marker--completed', markerStep < stepNumber);
+        });
+
+        steps.forEach(step => {
+            step.classList.toggle('process-step--active', getStepOf(step) === stepNumber);
+        });
+    }
+
+    /**
+     * Syncs the ARIA state with the selected step
+     */
+    function updateAria() {
+        const track = section.querySelector(CONFIG.trackSelector);
+
+        if (track) {
+            const args = { step: currentStep, total: steps.length };
+            track.setAttribute('aria-valuenow', currentStep.toString());
+            track.setAttribute('aria-valuemax', steps.length.toString());
+            track.setAttribute('data-i18n-args', JSON.stringify(args));
+
+            const text = I18n.t(CONFIG.progressKey, args);
+            if (text) track.setAttribute('aria-valuetext', text);
+        }
+
+        [...markers, ...steps].forEach(element => {
+            if (getStepOf(element) === currentStep) {
+                element.setAttribute('aria-current', 'step');
+            } else {
+                element.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    // ==========================================
+    // Autoplay
+    // ==========================================
+
+    /**
+     * Starts or stops the autoplay timer to match the current conditions
+     */
+    function updateAutoplay() {
+        const shouldRun = autoplay.delay > 0 && autoplay.visible && !autoplay.paused && !autoplay.stopped;
+
+        if (shouldRun && autoplay.timer === null) {
+            autoplay.timer = setInterval(() => {
+                setStep(currentStep === steps.length ? 1 : currentStep + 1, { fromAutoplay: true });
+            }, autoplay.delay);
+        } else if (!shouldRun && autoplay.timer !== null) {
+            clearInterval(autoplay.timer);
+            autoplay.timer = null;
+        }
+    }
+
+    /**
+     * Pauses autoplay while the visitor is in the section
+     * @param {boolean} paused
+     */
+    function setPaused(paused) {
+        autoplay.paused = paused;
+        updateAutoplay();
+    }
+
+    /**
+     * Stops autoplay for good once the visitor picks a step
+     */
+    function stopAutoplay() {
+        autoplay.stopped = true;
+        updateAutoplay();
+    }
+
+    /**
+     * Reads the autoplay delay and watches the section's visibility
+     */
+    function setupAutoplay() {
+        const progress = section.querySelector(CONFIG.progressSelector);
+        const delay = progress ? parseInt(progress.dataset.autoplay, 10) : 0;
+        const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+        if (!delay || prefersReducedMotion || typeof IntersectionObserver !== 'function') {
+            return;
+        }
+
+        autoplay.delay = delay;
+        observer = new IntersectionObserver(entries => {
+            autoplay.visible = entries[0].isIntersecting;
+            updateAutoplay();
+        }, { threshold: CONFIG.visibilityThreshold });
+
+        observer.observe(section);
+    }
+
+    // ==========================================
+    // Events
+    // ==========================================
+
+    /**
+     * Adds an event listener that destroy() removes
+     * @param {EventTarget} target
+     * @param {string} type - Event type
+     * @param {Function} handler
+     */
+    function listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        bindings.push([target, type, handler]);
+    }
+
+    /**
+     * Moves between markers with the arrow, Home and End keys
+     * @param {KeyboardEvent} event
+     */
+    function handleMarkerKeydown(event) {
+        const index = markers.indexOf(event.target.closest(CONFIG.markerSelector));
+        if (index === -1) return;
+
+        const last = markers.length - 1;
+        const next = {
+            ArrowRight: index === last ? 0 : index + 1,
+            ArrowDown: index === last ? 0 : index + 1,
+            ArrowLeft: index === 0 ? last : index - 1,
+            ArrowUp: index === 0 ? last : index - 1,
+            Home: 0,
+            End: last
+        }[event.key];
+
+        if (next === undefined) return;
+
+        event.preventDefault();
+        setStep(getStepOf(markers[next]));
+        markers[next].focus();
+    }
+
+    /**
+     * Binds markers, cards and the pause-on-interaction handlers
+     */
+    function bindEvents() {
+        markers.forEach(marker => {
+            listen(marker, 'click', () => setStep(getStepOf(marker)));
+            listen(marker, 'keydown', handleMarkerKeydown);
+        });
+
+        steps.forEach(step => {
+            listen(step, 'click', () => setStep(getStepOf(step)));
+            // Hover previews a step; leaving the card restores the selection
+            listen(step, 'mouseenter', () => renderStep(getStepOf(step)));
+            listen(step, 'mouseleave', () => renderStep(currentStep));
+        });
+
+        listen(section, 'mouseenter', () => setPaused(true));
+        listen(section, 'mouseleave', () => setPaused(section.contains(document.activeElement)));
+        listen(section, 'focusin', () => setPaused(true));
+        listen(section, 'focusout', (event) => {
+            setPaused(section.contains(event.relatedTarget) || section.matches(':hover'));
+        });
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    /**
+     * Selects a step
+     * @param {number} stepNumber - Step to select (1-based)
+     * @param {Object} [options]
+     * @param {boolean} [options.fromAutoplay=false] - Internal: keeps autoplay running
+     * @returns {boolean} Whether the step exists
+     * @example
+     * ProcessStepper.setStep(3);
+     */
+    function setStep(stepNumber, { fromAutoplay = false } = {}) {
+        if (!isInitialized || !steps.some(step => getStepOf(step) === stepNumber)) {
+            return false;
+        }
+
+        if (!fromAutoplay) {
+            stopAutoplay();
+        }
+
+        currentStep = stepNumber;
+        renderStep(currentStep);
+        updateAria();
+
+        return true;
+    }
+
+    /**
+     * Gets the selected step
+     * @returns {number} Step number (1-based)
+     */
+    function getStep() {
+        return currentStep;
+    }
+
+    /**
+     * Finds the stepper markup, selects step 1 and starts autoplay if enabled
+     */
+    function init() {
+        if (isInitialized) return;
+
+        section = document.getElementById(CONFIG.sectionId);
+        if (!section) return;
+
+        markers = Array.from(section.querySelectorAll(CONFIG.markerSelector));
+        steps = Array.from(section.querySelectorAll(CONFIG.stepSelector));
+        if (!markers.length || !steps.length) return;
+
+        isInitialized = true;
+        currentStep = 1;
+        renderStep(currentStep);
+        updateAria();
+        bindEvents();
+        setupAutoplay();
+    }
+
+    /**
+     * Stops autoplay, removes the listeners and restores step 1
+     */
+    function destroy() {
+        if (!isInitialized) return;
+
+        if (autoplay.timer !== null) {
+            clearInterval(autoplay.timer);
+        }
+
+        if (observer) {
+            observer.disconnect();
+            observer = null;
+        }
+
+        bindings.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+        bindings = [];
+
+        currentStep = 1;
+        renderStep(currentStep);
+        updateAria();
+
+        autoplay = { delay: 0, timer: null, visible: false, paused: false, stopped: false };
+        isInitialized = false;
+    }
+
+    return {
+        init,
+        destroy,
+        setStep,
+        getStep
+    };
+
+})();
@@ -0,0 +1,447 @@
+/**
+ * Project Detail Module
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Opens the details of a project in a modal dialog: description and
+ * technologies for every project, plus whatever data/projects.json has
+ * for it: screenshots, a caseStudy (problem / solution / result), what
+ * each technology was used for (techRoles) and the client testimonial.
+ *
+ * Every project has its own URL (#projects/arynstal), so it can be
+ * shared, opened on load and closed with the browser's back button.
+ * Links to it are routed by the smooth-scroll handler in main.js.
+ */
+
+const ProjectDetail = (function() {
+    'use strict';
+
+    // ==========================================
+    // Configuration
+    // ==========================================
+    const CONFIG = {
+        dialogId: 'project-dialog',
+        contentSelector: '.project-dialog__content',
+        closeSelector: '[data-dialog-close]',
+        openClass: 'has-dialog-open',
+        hashPrefix: '#projects/',
+        closedHash: '#projects',
+        sections: [
+            { field: 'problem', key: 'projects.detail.problem', fallback: 'El reto' },
+            { field: 'solution', key: 'projects.detail.solution', fallback: 'La solución' },
+            { field: 'result', key: 'projects.detail.result', fallback: 'El resultado' }
+        ],
+        focusableSelector: [
+            'a[href]',
+            'button:not([disabled])',
+            'select:not([disabled])',
+            'input:not([disabled])',
+            '[tabindex]:not([tabindex="-1"])'
+        ].join(', ')
+    };
+
+    // ==========================================
+    // State
+    // ==========================================
+    let dialog = null;
+    let currentId = null;
+    let returnFocus = null;
+    // True when opening added a history entry, so closing can step back over it
+    let openedWithHistory = false;
+    let bindings = [];
+    let isInitialized = false;
+
+    // ==========================================
+    // Private Methods
+    // ==========================================
+
+    /**
+     * Creates an element with a class and optional text
+     * @param {string} tagName - Tag to create
+     * @param {string} [className] - Class attribute
+     * @param {string} [text] - Text content
+     * @returns {HTMLElement}
+     */
+    function createElement(tagName, className, text) {
+        const element = document.createElement(tagName);
+
+        if (className) {
+            element.className = className;
+        }
+
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+
+        return element;
+    }
+
+    /**
+     * Finds a project by id
+     * @param {string} id - Project id
+     * @returns {Object|undefined} Entry from data/projects.json
+     */
+    function findProject(id) {
+        return Projects.getProjects().find(project => project.id === id);
+    }
+
+    /**
+     * Builds a titled section of the dialog
+     * @param {string} key - Translation key for the heading
+     * @param {string} fallback - Heading used until translations load
+     * @param {...Node} children - Section content
+     * @returns {HTMLElement}
+     */
+    function createSection(key, fallback, ...children) {
+        const section = createElement('section', 'project-dialog__section');
+        section.append(createElement('h3', 'project-dialog__heading', I18n.t(key, fallback)), ...children);
+        return section;
+    }
+
+    /**
+     * Builds the screenshot gallery
+     * @param {Object[]} [screenshots] - { src, alt, caption } entries
+     * @returns {HTMLElement|null}
+     */
+    function createGallery(screenshots) {
+        if (!screenshots || !screenshots.length) return null;
+
+        const gallery = createElement('div', 'project-dialog__gallery');
+
+        screenshots.forEach(({ src, alt, caption }) => {
+            const figure = createElement('figure', 'project-dialog__screenshot');
+            const image = createElement('img');
+
+            image.src = `${I18n.getBasePath()}${src}`;
+            image.alt = I18n.localize(alt);
+            image.loading = 'lazy';
+            figure.appendChild(image);
+
+            if (caption) {
+                figure.appendChild(createElement('figcaption', '', I18n.localize(caption)));
+            }
+
+            gallery.appendChild(figure);
+        });
+
+        return gallery;
+    }
+
+    /**
+     * Builds the list of technologies and what each one was used for
+     * @param {Object} project - Entry from data/projects.json
+     * @returns {HTMLElement}
+     */
+    function createTechList(project) {
+        const list = createElement('dl', 'project-dialog__tech');
+        const roles = project.techRoles || {};
+
+        (project.stack || []).forEach(tech => {
+            const item = createElement('div', 'project-dialog__tech-item');
+
+            item.appendChild(createElement('dt', '', tech));
+            if (roles[tech]) {
+                item.appendChild(createElement('dd', '', I18n.localize(roles[tech])));
+            }
+            list.appendChild(item);
+        });
+
+        return list;
+    }
+
+    /**
+     * Builds the testimonial quote from its translation keys
+     * @param {string} key - Prefix of the quote/author keys (e.g., 'projects.testimonial')
+     * @returns {HTMLElement|null}
+     */
+    function createTestimonial(key) {
+        const quote = key && I18n.t(`${key}.quote`, '');
+        if (!quote) return null;
+
+        const blockquote = createElement('blockquote', 'testimonial project-dialog__testimonial');
+        blockquote.append(
+            createElement('p', 'testimonial__quote', quote),
+            createElement('cite', 'testimonial__author', `— ${I18n.t(`${key}.author`, '')}`)
+        );
+
+        return blockquote;
+    }
+
+    /**
+     * Renders a project's details into the dialog
+     * @param {Object} project - Entry from data/projects.json
+     */
+    function renderContent(project) {
+        const content = dialog.querySelector(CONFIG.contentSelector);
+        const caseStudy = project.caseStudy || {};
+        const header = createElement('header', 'project-dialog__header');
+        const title = createElement('h2', 'project-dialog__title', I18n.localize(project.title));
+        const links = createElement('div', 'project-dialog__links');
+
+        title.id = `${CONFIG.dialogId}-title`;
+        header.append(title, createElement('p', 'project-dialog__description', I18n.localize(project.description)));
+
+        // Reuse the card's own links so labels and icons stay identical;
+        // data-project ties them to the project like the card does
+        links.setAttribute('data-project', project.id);
+        const card = document.querySelector(`.project-card[data-project="${project.id}"]`);
+        if (card) {
+            card.querySelectorAll('.project-link[target="_blank"]').forEach(link => {
+                links.appendChild(link.cloneNode(true));
+            });
+        }
+
+        const sections = CONFIG.sections
+            .filter(({ field }) => caseStudy[field])
+            .map(({ field, key, fallback }) => {
+                return createSection(key, fallback, createElement('p', 'project-dialog__text', I18n.localize(caseStudy[field])));
+            });
+
+        content.replaceChildren(...[
+            header,
+            createGallery(project.screenshots),
+            ...sections,
+            createSection('projects.detail.stack', 'Tecnologías', createTechList(project)),
+            createTestimonial(project.testimonial),
+            links.childElementCount ? links : null
+        ].filter(Boolean));
+    }
+
+    /**
+     * Gets the elements that can receive focus inside the dialog
+     * @returns {HTMLElement[]}
+     */
+    function getFocusable() {
+        return [...dialog.querySelectorAll(CONFIG.focusableSelector)]
+            .filter(element => !element.hidden && element.getClientRects().length > 0);
+    }
+
+    /**
+     * Keeps Tab and Shift+Tab cycling inside the dialog
+     * @param {KeyboardEvent} event
+     */
+    function trapFocus(event) {
+        if (event.key !== 'Tab') return;
+
+        const focusable = getFocusable();
+        if (!focusable.length) {
+            event.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Shows the dialog for a project
+     * @param {string} id - Project id
+     * @returns {boolean} Whether the project exists
+     */
+    function show(id) {
+        const project = findProject(id);
+        if (!project) return false;
+
+        if (!currentId) {
+            returnFocus = document.activeElement;
+        }
+
+        currentId = id;
+        renderContent(project);
+
+        if (!dialog.open) {
+            if (typeof dialog.showModal === 'function') {
+                dialog.showModal();
+            } else {
+                dialog.setAttribute('open', '');
+            }
+        }
+
+        document.documentElement.classList.add(CONFIG.openClass);
+        dialog.querySelector(CONFIG.closeSelector).focus();
+
+        return true;
+    }
+
+    /**
+     * Hides the dialog and gives focus back to whatever opened it
+     */
+    function hide() {
+        if (!currentId) return;
+
+        const card = document.querySelector(`.project-card[data-project="${currentId}"]`);
+        const target = returnFocus && document.contains(returnFocus)
+            ? returnFocus
+            : card && card.querySelector('.project-link--details');
+
+        currentId = null;
+        returnFocus = null;
+        openedWithHistory = false;
+
+        if (typeof dialog.close === 'function') {
+            dialog.close();
+        } else {
+            dialog.removeAttribute('open');
+        }
+
+        document.documentElement.classList.remove(CONFIG.openClass);
+        if (target) target.focus();
+    }
+
+    /**
+     * Opens or closes the dialog to match the URL hash
+     */
+    function syncWithHash() {
+        const id = parseRoute(window.location.hash);
+
+        if (id && show(id)) return;
+        hide();
+    }
+
+    /**
+     * Adds an event listener that destroy() removes
+     * @param {EventTarget} target
+     * @param {string} type - Event type
+     * @param {Function} handler
+     */
+    function listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        bindings.push([target, type, handler]);
+    }
+
+    /**
+     * Binds closing controls, focus trapping and history navigation
+     */
+    function bindEvents() {
+        listen(dialog, 'click', (event) => {
+            // Clicks on the backdrop land on the <dialog> element itself
+            if (event.target === dialog || event.target.closest(CONFIG.closeSelector)) {
+                close();
+            }
+        });
+
+        // Escape fires 'cancel' on a modal dialog; route it through close()
+        // so the history entry is removed too
+        listen(dialog, 'cancel', (event) => {
+            event.preventDefault();
+            close();
+        });
+
+        listen(dialog, 'keydown', trapFocus);
+
+        listen(window, 'popstate', syncWithHash);
+        listen(window, 'hashchange', syncWithHash);
+
+        listen(document, 'languageChanged', () => {
+            const project = currentId && findProject(currentId);
+            if (!project) return;
+
+            // Switching language adds its own history entry, so stepping
+            // back on close would also undo the language change
+            openedWithHistory = false;
+            renderContent(project);
+        });
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    /**
+     * Extracts the project id from a #projects/<id> hash
+     * @param {string} hash - URL hash, including '#'
+     * @returns {string|null} Project id, or null if the hash is not a detail route
+     * @example
+     * ProjectDetail.parseRoute('#projects/arynstal'); // 'arynstal'
+     */
+    function parseRoute(hash) {
+        if (!hash || !hash.startsWith(CONFIG.hashPrefix)) return null;
+        return decodeURIComponent(hash.slice(CONFIG.hashPrefix.length)) || null;
+    }
+
+    /**
+     * Opens a project's details and adds them to the browser history
+     * @param {string} id - Project id
+     * @returns {boolean} Whether the project exists
+     */
+    function open(id) {
+        if (!dialog || !findProject(id)) return false;
+
+        const hash = `${CONFIG.hashPrefix}${encodeURIComponent(id)}`;
+
+        if (window.location.hash !== hash) {
+            history.pushState(null, '', hash);
+            openedWithHistory = openedWithHistory || !currentId;
+        }
+
+        return show(id);
+    }
+
+    /**
+     * Closes the dialog. If opening added a history entry, steps back
+     * over it so the back button doesn't reopen the dialog.
+     */
+    function close() {
+        if (!currentId) return;
+
+        if (openedWithHistory) {
+            history.back();
+            return;
+        }
+
+        history.replaceState(history.state, '', CONFIG.closedHash);
+        hide();
+    }
+
+    /**
+     * Finds the dialog, binds its events and opens the project
+     * in the URL, if any. Call once Projects has loaded its data.
+     */
+    function init() {
+        if (isInitialized) return;
+
+        dialog = document.getElementById(CONFIG.dialogId);
+        if (!dialog) return;
+
+        bindEvents();
+        isInitialized = true;
+
+        if (parseRoute(window.location.hash)) {
+            // Leave the page at the projects section behind a deep-linked dialog
+            const section = document.getElementById('projects');
+            if (section) section.scrollIntoView({ block: 'start' });
+
+            syncWithHash();
+        }
+    }
+
+    /**
+     * Hides the dialog (the URL is left as it is) and removes the listeners
+     */
+    function destroy() {
+        if (!isInitialized) return;
+
+        hide();
+        bindings.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+        bindings = [];
+
+        dialog = null;
+        isInitialized = false;
+    }
+
+    return {
+        init,
+        destroy,
+        open,
+        close,
+        parseRoute
+    };
+
+})();
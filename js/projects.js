@@ -0,0 +1,563 @@
+/**
+ * Projects Module
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Renders the project cards in #projects from data/projects.json.
+ * Text fields are either a plain string or an { es, en, ca } object,
+ * so adding a project means adding one entry to the data file.
+ * Cards are re-rendered on every languageChanged event, and every render
+ * dispatches projectsRendered so other modules can decorate the cards.
+ *
+ * Cards can be filtered by technology and badge status and sorted by
+ * date, from the filter bar or by clicking a tech icon in #stack.
+ * Filter state lives in the URL hash (#projects?tech=Django&status=featured).
+ * Every card links to its detail view (js/project-detail.js).
+ */
+
+const Projects = (function() {
+    'use strict';
+
+    // ==========================================
+    // Configuration
+    // ==========================================
+    const CONFIG = {
+        dataPath: 'data/projects.json',
+        gridSelector: '.projects__grid',
+        countSelector: '.projects__count',
+        filtersSelector: '.projects__filters',
+        resultsSelector: '.projects__results',
+        emptySelector: '.projects__empty',
+        techIconSelector: '#stack .tech-icon',
+        hashPrefix: '#projects?',
+        sortOrders: ['default', 'newest', 'oldest'],
+        // Stack icon names that differ from the names used in data/projects.json
+        techAliases: {
+            tailwind: 'tailwindcss'
+        },
+        spritePath: 'assets/icons/sprite.svg',
+        badges: {
+            featured: { key: 'projects.featured', fallback: 'Destacado' },
+            deploying: { key: 'projects.deploying', fallback: 'Pre-lanzamiento' },
+            learning: { key: 'projects.learning', fallback: 'Proyecto formativo' }
+        }
+    };
+
+    // ==========================================
+    // State
+    // ==========================================
+    let projects = [];
+    let filters = { tech: '', status: '', sort: 'default' };
+    let bindings = [];
+    let initPromise = null;
+
+    // ==========================================
+    // Private Methods
+    // ==========================================
+
+    /**
+     * Creates an element with a class and optional text
+     * @param {string} tagName - Tag to create
+     * @param {string} [className] - Class attribute
+     * @param {string} [text] - Text content
+     * @returns {HTMLElement}
+     */
+    function createElement(tagName, className, text) {
+        const element = document.createElement(tagName);
+
+        if (className) {
+            element.className = className;
+        }
+
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+
+        return element;
+    }
+
+    /**
+     * Creates a text node bound to a translation key
+     * @param {string} tagName - Tag to create
+     * @param {string} className - Class attribute
+     * @param {string} key - Translation key
+     * @param {string} fallback - Text used until translations load
+     * @returns {HTMLElement}
+     */
+    function createTranslated(tagName, className, key, fallback) {
+        const element = createElement(tagName, className, I18n.t(key, fallback));
+        element.setAttribute('data-i18n', key);
+        return element;
+    }
+
+    /**
+     * Creates an icon that references the SVG sprite
+     * @param {string} name - Icon id without the 'icon-' prefix
+     * @returns {SVGElement}
+     */
+    function createIcon(name) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        const use = document.createElementNS(svgNS, 'use');
+
+        svg.setAttribute('width', '16');
+        svg.setAttribute('height', '16');
+        svg.setAttribute('aria-hidden', 'true');
+        use.setAttribute('href', `${I18n.getBasePath()}${CONFIG.spritePath}#icon-${name}`);
+        svg.appendChild(use);
+
+        return svg;
+    }
+
+    /**
+     * Creates an external project link (repo or demo)
+     * @param {string} type - 'repo' or 'demo', kept in data-link-type
+     * @param {string} href - Link target
+     * @param {string} icon - Sprite icon name
+     * @param {string} key - Translation key for the label
+     * @param {string} fallback - Label used until translations load
+     * @returns {HTMLAnchorElement}
+     */
+    function createLink(type, href, icon, key, fallback) {
+        const link = createElement('a', 'project-link');
+
+        link.setAttribute('data-link-type', type);
+        link.href = href;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.append(createIcon(icon), createTranslated('span', '', key, fallback));
+
+        return link;
+    }
+
+    /**
+     * Builds the card for one project
+     * @param {Object} project - Entry from data/projects.json
+     * @returns {HTMLElement}
+     */
+    function createCard(project) {
+        const badges = project.badges || [];
+        const card = createElement('article', 'project-card');
+        const footer = createElement('div', 'project-card__footer');
+        const links = createElement('div', 'project-card__links');
+        const badgeList = createElement('div', 'project-card__badges');
+
+        card.classList.toggle('project-card--featured', badges.includes('featured'));
+        card.setAttribute('data-project', project.id);
+        card.id = `project-${project.id}`;
+
+        const details = createElement('a', 'project-link project-link--details');
+        details.setAttribute('data-link-type', 'details');
+        details.href = `#projects/${encodeURIComponent(project.id)}`;
+        details.append(createIcon('info-circle'), createTranslated('span', '', 'projects.viewDetails', 'Ver detalles'));
+        links.appendChild(details);
+
+        if (project.repo) {
+            links.appendChild(createLink('repo', project.repo, 'github', 'projects.viewCode', 'Ver código'));
+        }
+        if (project.demo) {
+            links.appendChild(createLink('demo', project.demo, 'arrow-right', 'projects.viewDemo', 'Ver demo'));
+        }
+
+        badges
+            .filter(badge => CONFIG.badges[badge])
+            .forEach(badge => {
+                const { key, fallback } = CONFIG.badges[badge];
+                badgeList.appendChild(createTranslated('span', `project-card__badge project-card__badge--${badge}`, key, fallback));
+            });
+
+        footer.append(links, badgeList);
+        card.append(
+            createElement('h3', 'project-card__title', I18n.localize(project.title)),
+            createElement('p', 'project-card__description', I18n.localize(project.description)),
+            createElement('p', 'project-card__stack', (project.stack || []).join(', ')),
+            footer
+        );
+
+        return card;
+    }
+
+    /**
+     * Keeps the "N projects" counter in sync with the catalogue
+     */
+    function updateCount() {
+        const counter = document.querySelector(CONFIG.countSelector);
+        if (!counter) return;
+
+        const args = { count: projects.length };
+        counter.setAttribute('data-i18n-args', JSON.stringify(args));
+
+        const text = I18n.t('projects.count', args);
+        if (text) counter.textContent = text;
+    }
+
+    /**
+     * Normalizes a technology name for comparison ('Tailwind CSS' → 'tailwindcss')
+     * @param {string} name - Technology name
+     * @returns {string} Comparable key
+     */
+    function normalizeTech(name) {
+        const key = String(name).toLowerCase().replace(/[^a-z0-9#+]/g, '');
+        return CONFIG.techAliases[key] || key;
+    }
+
+    /**
+     * Lists every technology used by at least one project
+     * @returns {string[]} Technology names, alphabetically
+     */
+    function getTechnologies() {
+        const names = new Map();
+
+        projects.forEach(project => {
+            (project.stack || []).forEach(tech => names.set(normalizeTech(tech), tech));
+        });
+
+        return [...names.values()].sort((a, b) => a.localeCompare(b, I18n.getCurrentLanguage()));
+    }
+
+    /**
+     * Finds the catalogue spelling of a technology
+     * @param {string} name - Any spelling (e.g., from a stack icon or the URL)
+     * @returns {string} Catalogue name, or '' if no project uses it
+     */
+    function findTechnology(name) {
+        const key = normalizeTech(name);
+        return getTechnologies().find(tech => normalizeTech(tech) === key) || '';
+    }
+
+    /**
+     * Applies the current filters and sort order
+     * @returns {Object[]} Projects to display
+     */
+    function getVisibleProjects() {
+        const tech = normalizeTech(filters.tech);
+        const visible = projects.filter(project => {
+            const matchesTech = !filters.tech || (project.stack || []).some(name => normalizeTech(name) === tech);
+            const matchesStatus = !filters.status || (project.badges || []).includes(filters.status);
+            return matchesTech && matchesStatus;
+        });
+
+        if (filters.sort === 'newest') {
+            visible.sort((a, b) => String(b.date).localeCompare(String(a.date)));
+        } else if (filters.sort === 'oldest') {
+            visible.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+        }
+
+        return visible;
+    }
+
+    /**
+     * Reads filters from a #projects?tech=…&status=…&sort=… hash
+     * @returns {Object} Filters (defaults when the hash has none)
+     */
+    function readHash() {
+        const hash = window.location.hash;
+        const params = new URLSearchParams(hash.startsWith(CONFIG.hashPrefix) ? hash.slice(CONFIG.hashPrefix.length) : '');
+        const status = params.get('status') || '';
+        const sort = params.get('sort');
+
+        return {
+            tech: findTechnology(params.get('tech') || ''),
+            status: CONFIG.badges[status] ? status : '',
+            sort: CONFIG.sortOrders.includes(sort) ? sort : 'default'
+        };
+    }
+
+    /**
+     * Writes the current filters into the URL hash without adding history entries
+     */
+    function writeHash() {
+        const hash = getHash();
+
+        if (hash !== window.location.hash && (hash !== '#projects' || window.location.hash.startsWith(CONFIG.hashPrefix))) {
+            history.replaceState(history.state, '', hash);
+        }
+    }
+
+    /**
+     * Syncs the filter bar controls with the current filters
+     */
+    function updateFilterBar() {
+        const bar = document.querySelector(CONFIG.filtersSelector);
+        if (!bar) return;
+
+        bar.querySelectorAll('[data-filter-status]').forEach(button => {
+            const isActive = button.getAttribute('data-filter-status') === filters.status;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive.toString());
+        });
+
+        const techSelect = bar.querySelector('[data-filter-tech]');
+        if (techSelect) {
+            const allOption = techSelect.querySelector('option[value=""]');
+            const options = getTechnologies().map(tech => new Option(tech, tech));
+
+            techSelect.replaceChildren(...[allOption, ...options].filter(Boolean));
+            techSelect.value = filters.tech;
+        }
+
+        const sortSelect = bar.querySelector('[data-filter-sort]');
+        if (sortSelect) {
+            sortSelect.value = filters.sort;
+        }
+    }
+
+    /**
+     * Announces how many projects match, for screen readers
+     * @param {number} count - Visible projects
+     */
+    function announceResults(count) {
+        const region = document.querySelector(CONFIG.resultsSelector);
+
+        if (region) {
+            region.textContent = I18n.t('projects.filter.results', { count, total: projects.length });
+        }
+    }
+
+    /**
+     * Makes the #stack tech icons used by a project act as filter buttons
+     */
+    function enhanceTechIcons() {
+        document.querySelectorAll(CONFIG.techIconSelector).forEach(icon => {
+            const nameElement = icon.querySelector('.tech-icon__name');
+            const tech = nameElement && findTechnology(nameElement.textContent.trim());
+            const isFilterable = Boolean(tech);
+
+            icon.classList.toggle('tech-icon--filterable', isFilterable);
+
+            if (!isFilterable) {
+                icon.removeAttribute('role');
+                icon.removeAttribute('tabindex');
+                icon.removeAttribute('aria-label');
+                icon.removeAttribute('data-filter-tech');
+                return;
+            }
+
+            icon.setAttribute('role', 'button');
+            icon.setAttribute('tabindex', '0');
+            icon.setAttribute('data-filter-tech', tech);
+            icon.setAttribute('aria-label', I18n.t('projects.filter.showTech', { tech }) || tech);
+        });
+    }
+
+    /**
+     * Scrolls the projects section into view
+     */
+    function scrollToProjects() {
+        const section = document.getElementById('projects');
+        if (!section) return;
+
+        const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        section.scrollIntoView({ behavior: prefersReducedMotion ? 'auto' : 'smooth', block: 'start' });
+    }
+
+    /**
+     * Adds an event listener that destroy() removes
+     * @param {EventTarget} target
+     * @param {string} type - Event type
+     * @param {Function} handler
+     */
+    function listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        bindings.push([target, type, handler]);
+    }
+
+    /**
+     * Binds the filter bar, stack icons and hash navigation
+     */
+    function bindEvents() {
+        const bar = document.querySelector(CONFIG.filtersSelector);
+
+        if (bar) {
+            listen(bar, 'click', (event) => {
+                const button = event.target.closest('[data-filter-status]');
+                if (button) setFilter({ status: button.getAttribute('data-filter-status') });
+            });
+
+            listen(bar, 'change', (event) => {
+                if (event.target.matches('[data-filter-tech]')) setFilter({ tech: event.target.value });
+                if (event.target.matches('[data-filter-sort]')) setFilter({ sort: event.target.value });
+            });
+        }
+
+        listen(document, 'click', (event) => {
+            if (event.target.closest('[data-filter-clear]')) {
+                setFilter({ tech: '', status: '', sort: 'default' });
+                return;
+            }
+
+            const icon = event.target.closest('.tech-icon--filterable');
+            if (icon) {
+                setFilter({ tech: icon.getAttribute('data-filter-tech'), status: '' });
+                scrollToProjects();
+            }
+        });
+
+        listen(document, 'keydown', (event) => {
+            const icon = event.target.closest && event.target.closest('.tech-icon--filterable');
+
+            if (icon && (event.key === 'Enter' || event.key === ' ')) {
+                event.preventDefault();
+                icon.click();
+            }
+        });
+
+        listen(window, 'hashchange', () => {
+            if (window.location.hash.startsWith(CONFIG.hashPrefix)) {
+                filters = readHash();
+                render();
+                announceResults(getVisibleProjects().length);
+            }
+        });
+
+        listen(document, 'languageChanged', () => {
+            render();
+            enhanceTechIcons();
+        });
+    }
+
+    /**
+     * Fetches the project catalogue
+     * @returns {Promise<Object[]>} Projects, or [] on failure
+     */
+    async function fetchProjects() {
+        try {
+            const response = await fetch(`${I18n.getBasePath()}${CONFIG.dataPath}`);
+
+            if (!response.ok) {
+                throw new Error(`Failed to load ${CONFIG.dataPath}`);
+            }
+
+            const data = await response.json();
+            return Array.isArray(data.projects) ? data.projects : [];
+        } catch (error) {
+            console.error('[Projects] Error loading projects:', error);
+            return [];
+        }
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    /**
+     * Renders the matching project cards into the grid in the current language
+     */
+    function render() {
+        const grid = document.querySelector(CONFIG.gridSelector);
+        if (!grid || !projects.length) return;
+
+        const visible = getVisibleProjects();
+        const empty = document.querySelector(CONFIG.emptySelector);
+
+        grid.replaceChildren(...visible.map(createCard));
+        if (empty) empty.hidden = visible.length > 0;
+
+        updateCount();
+        updateFilterBar();
+
+        document.dispatchEvent(new CustomEvent('projectsRendered', {
+            detail: { count: visible.length }
+        }));
+    }
+
+    /**
+     * Updates one or more filters, re-renders and announces the result
+     * @param {Object} changes - Any of { tech, status, sort }
+     * @example
+     * Projects.setFilter({ tech: 'Django' });
+     */
+    function setFilter(changes) {
+        filters = { ...filters, ...changes };
+        filters.tech = findTechnology(filters.tech);
+
+        render();
+        writeHash();
+        announceResults(getVisibleProjects().length);
+    }
+
+    /**
+     * Gets the active filters
+     * @returns {{tech: string, status: string, sort: string}}
+     */
+    function getFilters() {
+        return { ...filters };
+    }
+
+    /**
+     * Loads the catalogue, renders it and re-renders on language changes.
+     * If the data can't be loaded, the prerendered cards are left as they are.
+     * @returns {Promise<void>}
+     */
+    function init() {
+        if (!initPromise) {
+            initPromise = fetchProjects().then(data => {
+                projects = data;
+                filters = readHash();
+                render();
+                enhanceTechIcons();
+                bindEvents();
+
+                if (window.location.hash.startsWith(CONFIG.hashPrefix)) {
+                    scrollToProjects();
+                }
+            });
+        }
+
+        return initPromise;
+    }
+
+    /**
+     * Removes the listeners and turns the stack icons back into plain icons.
+     * The cards stay as they are; init() can load the catalogue again.
+     * @returns {Promise<void>}
+     */
+    function destroy() {
+        if (!initPromise) return Promise.resolve();
+
+        return initPromise.then(() => {
+            bindings.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+            bindings = [];
+
+            // With no projects loaded, no icon is filterable
+            projects = [];
+            filters = { tech: '', status: '', sort: 'default' };
+            enhanceTechIcons();
+
+            initPromise = null;
+        });
+    }
+
+    /**
+     * Gets the hash that links to the projects section with the active filters
+     * @returns {string} '#projects' or '#projects?tech=…&status=…&sort=…'
+     */
+    function getHash() {
+        const params = new URLSearchParams();
+
+        if (filters.tech) params.set('tech', filters.tech);
+        if (filters.status) params.set('status', filters.status);
+        if (filters.sort !== 'default') params.set('sort', filters.sort);
+
+        const query = params.toString();
+        return query ? `${CONFIG.hashPrefix}${query}` : '#projects';
+    }
+
+    /**
+     * Gets a copy of the loaded projects
+     * @returns {Object[]} Project entries
+     */
+    function getProjects() {
+        return projects.map(project => ({ ...project }));
+    }
+
+    return {
+        init,
+        destroy,
+        render,
+        setFilter,
+        getFilters,
+        getHash,
+        getProjects
+    };
+
+})();
@@ -0,0 +1,221 @@
+/**
+ * Repository Metadata Module
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Shows GitHub data on the project cards whose repo link points to a
+ * repository: stars, main languages, "updated 3 weeks ago" and topics.
+ * The data comes from data/repos.json, a snapshot written at build time
+ * by scripts/fetch-repos.js, so visitors never hit the GitHub API.
+ * Cards are decorated again after every projectsRendered event, which
+ * also covers language changes.
+ */
+
+const RepoMeta = (function() {
+    'use strict';
+
+    // ==========================================
+    // Configuration
+    // ==========================================
+    const CONFIG = {
+        dataPath: 'data/repos.json',
+        cardSelector: '.project-card',
+        repoLinkSelector: '.project-link[data-link-type="repo"]',
+        footerSelector: '.project-card__footer',
+        className: 'project-card__repo',
+        spritePath: 'assets/icons/sprite.svg',
+        maxTopics: 4
+    };
+
+    // ==========================================
+    // State
+    // ==========================================
+    let repos = {};
+    let initPromise = null;
+
+    // ==========================================
+    // Private Methods
+    // ==========================================
+
+    /**
+     * Gets "owner/name" from a repository URL
+     * @param {string} url - e.g. https://github.com/cgvrzon/arynstal
+     * @returns {string|null} Repository key, or null for other links (e.g. a profile)
+     */
+    function parseRepo(url) {
+        const match = /^https:\/\/github\.com\/([\w.-]+)\/([\w.-]+?)(?:\.git)?\/?$/.exec(url || '');
+        return match ? `${match[1]}/${match[2]}` : null;
+    }
+
+    /**
+     * Creates an element with optional class and text
+     * @param {string} tagName - Tag to create
+     * @param {string} [className] - Class attribute
+     * @param {string} [text] - Text content
+     * @returns {HTMLElement}
+     */
+    function createElement(tagName, className, text) {
+        const element = document.createElement(tagName);
+
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+
+        return element;
+    }
+
+    /**
+     * Creates an icon from the SVG sprite
+     * @param {string} name - Icon name without the "icon-" prefix
+     * @returns {SVGElement}
+     */
+    function createIcon(name) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        const use = document.createElementNS(svgNS, 'use');
+
+        svg.setAttribute('width', '14');
+        svg.setAttribute('height', '14');
+        svg.setAttribute('aria-hidden', 'true');
+        use.setAttribute('href', `${I18n.getBasePath()}${CONFIG.spritePath}#icon-${name}`);
+        svg.appendChild(use);
+
+        return svg;
+    }
+
+    /**
+     * Builds the repository block for one card
+     * @param {Object} repo - Entry from data/repos.json
+     * @returns {HTMLElement}
+     */
+    function createBlock(repo) {
+        const block = createElement('div', CONFIG.className);
+        const stats = createElement('ul', `${CONFIG.className}-stats`);
+
+        stats.setAttribute('aria-label', I18n.t('projects.repo.label', 'Repositorio en GitHub'));
+
+        const stars = createElement('li', `${CONFIG.className}-stat`);
+        stars.append(createIcon('star'), I18n.t('projects.repo.stars', { count: repo.stars }));
+        stats.appendChild(stars);
+
+        if (repo.languages.length) {
+            const languages = createElement('li', `${CONFIG.className}-stat`, repo.languages.map(language => language.name).join(' · '));
+            languages.title = repo.languages
+                .map(language => `${language.name} ${I18n.formatNumber(language.share / 100, 'percent')}`)
+                .join(', ');
+            stats.appendChild(languages);
+        }
+
+        if (repo.lastCommit) {
+            const updated = createElement('li', `${CONFIG.className}-stat`);
+            const time = createElement('time', '', I18n.t('projects.repo.updated', { when: I18n.formatRelative(repo.lastCommit) }));
+
+            time.setAttribute('datetime', repo.lastCommit);
+            time.title = I18n.formatDate(repo.lastCommit, 'long');
+            updated.append(createIcon('clock'), time);
+            stats.appendChild(updated);
+        }
+
+        block.appendChild(stats);
+
+        if (repo.topics.length) {
+            const topics = createElement('ul', `${CONFIG.className}-topics`);
+
+            topics.setAttribute('aria-label', I18n.t('projects.repo.topics', 'Temas'));
+            repo.topics.slice(0, CONFIG.maxTopics).forEach(topic => {
+                topics.appendChild(createElement('li', `${CONFIG.className}-topic`, topic));
+            });
+            block.appendChild(topics);
+        }
+
+        return block;
+    }
+
+    /**
+     * Adds (or refreshes) the repository block on every card with data
+     */
+    function render() {
+        document.querySelectorAll(CONFIG.cardSelector).forEach(card => {
+            const existing = card.querySelector(`.${CONFIG.className}`);
+            const link = card.querySelector(CONFIG.repoLinkSelector);
+            const repo = link && repos[parseRepo(link.getAttribute('href'))];
+
+            if (existing) existing.remove();
+            if (!repo) return;
+
+            card.insertBefore(createBlock(repo), card.querySelector(CONFIG.footerSelector));
+        });
+    }
+
+    /**
+     * Fetches the repository snapshot
+     * @returns {Promise<Object>} Repositories by "owner/name", or {} on failure
+     */
+    async function fetchRepos() {
+        try {
+            const response = await fetch(`${I18n.getBasePath()}${CONFIG.dataPath}`);
+
+            if (!response.ok) {
+                throw new Error(`Failed to load ${CONFIG.dataPath}`);
+            }
+
+            const data = await response.json();
+            return data.repos || {};
+        } catch (error) {
+            console.error('[RepoMeta] Error loading repository data:', error);
+            return {};
+        }
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    /**
+     * Gets the snapshot of one repository
+     * @param {string} key - "owner/name" or a GitHub URL
+     * @returns {Object|null} { url, stars, languages, lastCommit, topics }
+     * @example
+     * RepoMeta.get('cgvrzon/arynstal').stars;
+     */
+    function get(key) {
+        return repos[parseRepo(key) || key] || null;
+    }
+
+    /**
+     * Loads the snapshot, decorates the cards and follows re-renders
+     * @returns {Promise<void>}
+     */
+    function init() {
+        if (!initPromise) {
+            initPromise = fetchRepos().then(data => {
+                repos = data;
+                render();
+                document.addEventListener('projectsRendered', render);
+            });
+        }
+
+        return initPromise;
+    }
+
+    /**
+     * Stops following re-renders and removes the repository blocks
+     * @returns {Promise<void>}
+     */
+    function destroy() {
+        if (!initPromise) return Promise.resolve();
+
+        return initPromise.then(() => {
+            document.removeEventListener('projectsRendered', render);
+            document.querySelectorAll(`.${CONFIG.className}`).forEach(block => block.remove());
+
+            repos = {};
+            initPromise = null;
+        });
+    }
+
+    return {
+        init,
+        destroy,
+        get
+    };
+
+})();
@@ -0,0 +1,243 @@
+/**
+ * Section Navigation Module (Scroll Spy)
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Highlights the section currently on screen in the sticky .section-nav
+ * and mirrors it in the URL hash with replaceState, so scrolling never
+ * adds history entries. Clicks on the nav links go through the
+ * smooth-scroll handler in main.js like any other anchor.
+ *
+ * Hashes that carry more than a section (#projects?tech=…, #projects/<id>)
+ * are left alone while their section is on screen, and the projects
+ * filters are written back when returning to #projects.
+ */
+
+const SectionNav = (function() {
+    'use strict';
+
+    // ==========================================
+    // Configuration
+    // ==========================================
+    const CONFIG = {
+        navSelector: '.section-nav',
+        linkSelector: '.section-nav__link',
+        activeClass: 'section-nav__link--active',
+        footerSelector: '.footer',
+        // A thin band at ~40% of the viewport decides which section is current
+        rootMargin: '-40% 0px -55% 0px'
+    };
+
+    // ==========================================
+    // State
+    // ==========================================
+    let nav = null;
+    let links = [];
+    let sections = [];
+    let visible = new Set();
+    let footerVisible = false;
+    let current = null;
+    let observer = null;
+    let footerObserver = null;
+    let isInitialized = false;
+
+    // ==========================================
+    // Private Methods
+    // ==========================================
+
+    /**
+     * Gets the hash that should represent a section in the URL
+     * @param {string} id - Section id
+     * @returns {string}
+     */
+    function getSectionHash(id) {
+        if (id === 'projects' && typeof Projects !== 'undefined') {
+            return Projects.getHash();
+        }
+
+        return `#${id}`;
+    }
+
+    /**
+     * Checks whether the URL hash already points into a section
+     * (e.g., #projects, #projects?tech=Django or #projects/arynstal)
+     * @param {string} id - Section id
+     * @returns {boolean}
+     */
+    function hashBelongsTo(id) {
+        const hash = window.location.hash;
+        return hash === `#${id}` || hash.startsWith(`#${id}?`) || hash.startsWith(`#${id}/`);
+    }
+
+    /**
+     * Mirrors the current section in the URL without adding history entries
+     * @param {string|null} id - Section id, or null above the first section
+     */
+    function updateHash(id) {
+        if (id === null) {
+            if (window.location.hash) {
+                history.replaceState(history.state, '', window.location.pathname + window.location.search);
+            }
+            return;
+        }
+
+        if (!hashBelongsTo(id)) {
+            history.replaceState(history.state, '', getSectionHash(id));
+        }
+    }
+
+    /**
+     * Highlights the link of the current section and keeps it in view
+     */
+    function updateLinks() {
+        links.forEach(link => {
+            const isActive = link.getAttribute('href') === `#${current}`;
+            link.classList.toggle(CONFIG.activeClass, isActive);
+
+            if (isActive) {
+                link.setAttribute('aria-current', 'location');
+
+                // On narrow screens the list scrolls sideways
+                const list = link.parentElement.parentElement;
+                if (list.scrollWidth > list.clientWidth) {
+                    list.scrollLeft = link.offsetLeft - (list.clientWidth - link.offsetWidth) / 2;
+                }
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    /**
+     * Works out which section is current from what the observer reported
+     * @returns {string|null} Section id
+     */
+    function findCurrent() {
+        // The last section may be too short to ever reach the band
+        if (footerVisible) {
+            return sections[sections.length - 1].id;
+        }
+
+        const section = sections.find(element => visible.has(element));
+        if (section) {
+            return section.id;
+        }
+
+        // Between sections keep the last one; above the first, there is none
+        const firstTop = sections[0].getBoundingClientRect().top;
+        return firstTop > window.innerHeight * 0.4 ? null : current;
+    }
+
+    /**
+     * Handles IntersectionObserver updates
+     * @param {IntersectionObserverEntry[]} entries
+     */
+    function handleIntersect(entries) {
+        entries.forEach(entry => {
+            if (entry.target.matches(CONFIG.footerSelector)) {
+                footerVisible = entry.isIntersecting;
+            } else if (entry.isIntersecting) {
+                visible.add(entry.target);
+            } else {
+                visible.delete(entry.target);
+            }
+        });
+
+        const next = findCurrent();
+        if (next === current) return;
+
+        current = next;
+        updateLinks();
+        updateHash(current);
+    }
+
+    /**
+     * Scrolls to the section named by a plain #section hash
+     * @param {boolean} smooth - Animate the scroll (unless reduced motion)
+     */
+    function restoreFromHash(smooth) {
+        const target = sections.find(section => `#${section.id}` === window.location.hash);
+        if (!target || target.id === current) return;
+
+        const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        target.scrollIntoView({ behavior: smooth && !prefersReducedMotion ? 'smooth' : 'auto', block: 'start' });
+    }
+
+    /**
+     * Follows back/forward navigation between sections
+     */
+    function handlePopState() {
+        restoreFromHash(true);
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    /**
+     * Builds the section list from the nav links, starts observing and
+     * restores the section in the URL
+     */
+    function init() {
+        if (isInitialized) return;
+
+        nav = document.querySelector(CONFIG.navSelector);
+        if (!nav) return;
+
+        links = Array.from(nav.querySelectorAll(CONFIG.linkSelector));
+        sections = links
+            .map(link => document.getElementById(link.getAttribute('href').slice(1)))
+            .filter(Boolean);
+
+        if (!sections.length || typeof IntersectionObserver !== 'function') return;
+
+        observer = new IntersectionObserver(handleIntersect, { rootMargin: CONFIG.rootMargin });
+        sections.forEach(section => observer.observe(section));
+
+        // The footer only needs to appear, so it gets its own observer
+        const footer = document.querySelector(CONFIG.footerSelector);
+        if (footer) {
+            footerObserver = new IntersectionObserver(handleIntersect);
+            footerObserver.observe(footer);
+        }
+
+        window.addEventListener('popstate', handlePopState);
+        restoreFromHash(false);
+
+        isInitialized = true;
+    }
+
+    /**
+     * Stops observing, clears the highlight and leaves the URL as it is
+     */
+    function destroy() {
+        if (!isInitialized) return;
+
+        observer.disconnect();
+        if (footerObserver) footerObserver.disconnect();
+        window.removeEventListener('popstate', handlePopState);
+
+        current = null;
+        updateLinks();
+
+        observer = null;
+        footerObserver = null;
+        visible = new Set();
+        footerVisible = false;
+        isInitialized = false;
+    }
+
+    /**
+     * Gets the section currently on screen
+     * @returns {string|null} Section id
+     */
+    function getCurrent() {
+        return current;
+    }
+
+    return {
+        init,
+        destroy,
+        getCurrent
+    };
+
+})();
@@ -0,0 +1,148 @@
+/**
+ * Share Image Module
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Points og:image and twitter:image at the share card for the current
+ * language, and follows language changes.
+ * data/og.json (written by scripts/build-og.js) lists the generated PNGs;
+ * a language without one falls back to the default language's card, and
+ * then to the profile photo with a small twitter card.
+ * The prerender script runs it too, so crawlers get each language's card.
+ */
+
+const ShareImage = (function() {
+    'use strict';
+
+    // ==========================================
+    // Configuration
+    // ==========================================
+    const CONFIG = {
+        manifestPath: 'data/og.json',
+        fallbackLang: 'es',
+        width: 1200,
+        height: 630,
+        fallbackImage: 'assets/img/fotoCV.jpg',
+        fallbackSize: 200
+    };
+
+    // ==========================================
+    // State
+    // ==========================================
+    let images = {};
+    let initPromise = null;
+
+    // ==========================================
+    // Private Methods
+    // ==========================================
+
+    /**
+     * Fetches the list of generated share cards
+     * @returns {Promise<Object>} { lang: path } map, or {} on failure
+     */
+    async function fetchManifest() {
+        try {
+            const response = await fetch(`${I18n.getBasePath()}${CONFIG.manifestPath}`);
+
+            if (!response.ok) {
+                throw new Error(`Failed to load ${CONFIG.manifestPath}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('[ShareImage] Error loading share image list:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Gets the site's root URL (the default language page)
+     * Share images need absolute URLs.
+     * @returns {string}
+     */
+    function getSiteUrl() {
+        const defaultPage = document.querySelector('link[rel="alternate"][hreflang="x-default"]');
+        return defaultPage ? defaultPage.href : new URL(I18n.getBasePath(), window.location.href).href;
+    }
+
+    /**
+     * Sets the content of a <meta> tag, if the page has it
+     * @param {string} selector - CSS selector
+     * @param {string|number} content - New content
+     */
+    function setMeta(selector, content) {
+        const meta = document.head.querySelector(selector);
+        if (meta) meta.setAttribute('content', content);
+    }
+
+    /**
+     * Updates the share image tags for the current language
+     */
+    function update() {
+        const image = resolve(I18n.getCurrentLanguage());
+        const url = new URL(image ? image.file : CONFIG.fallbackImage, getSiteUrl()).href;
+        const alt = I18n.t(image ? 'meta.imageAlt' : 'meta.photoAlt');
+
+        setMeta('meta[property="og:image"]', url);
+        setMeta('meta[property="og:image:alt"]', alt);
+        setMeta('meta[name="twitter:image"]', url);
+        setMeta('meta[name="twitter:image:alt"]', alt);
+        // The photo is square: it fits the small card, not the large one
+        setMeta('meta[name="twitter:card"]', image ? 'summary_large_image' : 'summary');
+        setMeta('meta[property="og:image:width"]', image ? CONFIG.width : CONFIG.fallbackSize);
+        setMeta('meta[property="og:image:height"]', image ? CONFIG.height : CONFIG.fallbackSize);
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    /**
+     * Finds the share card for a language, falling back to the default language's
+     * @param {string} lang - Language code
+     * @returns {{file: string, lang: string}|null} Path from the site root,
+     *          or null if no card was generated
+     * @example
+     * ShareImage.resolve('en'); // { file: 'assets/og/en.png', lang: 'en' }
+     */
+    function resolve(lang) {
+        const match = [lang, CONFIG.fallbackLang].find(code => images[code]);
+        return match ? { file: images[match], lang: match } : null;
+    }
+
+    /**
+     * Loads the card list, updates the tags and follows language changes
+     * @returns {Promise<void>}
+     */
+    function init() {
+        if (!initPromise) {
+            initPromise = fetchManifest().then(data => {
+                images = data;
+                update();
+                document.addEventListener('languageChanged', update);
+            });
+        }
+
+        return initPromise;
+    }
+
+    /**
+     * Stops following language changes; the tags keep their last image
+     * @returns {Promise<void>}
+     */
+    function destroy() {
+        if (!initPromise) return Promise.resolve();
+
+        return initPromise.then(() => {
+            document.removeEventListener('languageChanged', update);
+            images = {};
+            initPromise = null;
+        });
+    }
+
+    return {
+        init,
+        destroy,
+        resolve
+    };
+
+})();
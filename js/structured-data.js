@@ -0,0 +1,227 @@
+/**
+ * Structured Data Module
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Emits schema.org JSON-LD for search engines: a Person (name, job title,
+ * profiles, languages, education) and one SoftwareSourceCode per project
+ * (CreativeWork when it has no repository of its own), each pointing at
+ * its card (#project-<id>), which the prerendered page already contains.
+ * Everything is read from the translated page and data/projects.json, so
+ * the graph follows the current language and is rebuilt on every
+ * languageChanged.
+ * The prerender script runs it too, so each language's page ships its own.
+ */
+
+const StructuredData = (function() {
+    'use strict';
+
+    // ==========================================
+    // Configuration
+    // ==========================================
+    const CONFIG = {
+        scriptId: 'structured-data',
+        nameSelector: '.hero__name',
+        aliasSelector: '.hero__alias',
+        profileSelector: '.hero__cta a[href^="https://"]',
+        emailSelector: '.hero__cta a[href^="mailto:"]',
+        languageSelector: '[data-language]',
+        educationSelector: '.education-item',
+        institutionSelector: '.education-item__institution',
+        photo: 'assets/img/fotoCV.jpg',
+        // Stack entries that are languages; the rest (frameworks, tools) go to keywords
+        programmingLanguages: ['JavaScript', 'TypeScript', 'Python', 'Java', 'Kotlin', 'PHP', 'SQL', 'HTML5', 'CSS3']
+    };
+
+    // ==========================================
+    // State
+    // ==========================================
+    let isInitialized = false;
+
+    // ==========================================
+    // Private Methods
+    // ==========================================
+
+    /**
+     * Gets the trimmed text of the first element matching a selector
+     * @param {string} selector - CSS selector
+     * @param {Element|Document} [root=document] - Where to look
+     * @returns {string} Text, or '' if there's no match
+     */
+    function text(selector, root = document) {
+        const element = root.querySelector(selector);
+        return element ? element.textContent.trim() : '';
+    }
+
+    /**
+     * Checks whether a URL is a repository rather than a GitHub profile
+     * @param {string} url - Project repo link
+     * @returns {boolean}
+     */
+    function isRepository(url) {
+        return /^https:\/\/github\.com\/[\w.-]+\/[\w.-]+\/?$/.test(url || '');
+    }
+
+    /**
+     * Gets the page's URL for the current language
+     * @returns {string} Canonical URL
+     */
+    function getPageUrl() {
+        const canonical = document.querySelector('link[rel="canonical"]');
+        return canonical ? canonical.href : window.location.href.split('#')[0];
+    }
+
+    /**
+     * Gets the site's root URL (the default language page)
+     * @returns {string}
+     */
+    function getSiteUrl() {
+        const defaultPage = document.querySelector('link[rel="alternate"][hreflang="x-default"]');
+        return defaultPage ? defaultPage.href : getPageUrl();
+    }
+
+    /**
+     * Gets the Person's @id, the same in every language
+     * @returns {string}
+     */
+    function getPersonId() {
+        return `${getSiteUrl()}#person`;
+    }
+
+    /**
+     * Builds the Person node
+     * @param {string} pageUrl - Canonical URL of the page
+     * @returns {Object}
+     */
+    function buildPerson(pageUrl) {
+        const lang = I18n.getCurrentLanguage();
+        const languageNames = typeof Intl.DisplayNames === 'function'
+            ? new Intl.DisplayNames([lang], { type: 'language' })
+            : null;
+        const email = document.querySelector(CONFIG.emailSelector);
+
+        return {
+            '@type': 'Person',
+            '@id': getPersonId(),
+            name: text(CONFIG.nameSelector),
+            alternateName: text(CONFIG.aliasSelector) || undefined,
+            jobTitle: I18n.t('hero.role'),
+            description: I18n.t('hero.tagline'),
+            url: pageUrl,
+            image: new URL(CONFIG.photo, getSiteUrl()).href,
+            email: email ? email.getAttribute('href').replace(/^mailto:/, '') : undefined,
+            sameAs: Array.from(document.querySelectorAll(CONFIG.profileSelector), link => link.href),
+            knowsLanguage: Array.from(document.querySelectorAll(CONFIG.languageSelector), item => {
+                const code = item.getAttribute('data-language');
+
+                return {
+                    '@type': 'Language',
+                    name: languageNames ? languageNames.of(code) : code,
+                    alternateName: code,
+                    description: item.textContent.trim()
+                };
+            }),
+            alumniOf: Array.from(document.querySelectorAll(CONFIG.educationSelector), item => ({
+                '@type': 'EducationalOrganization',
+                name: text(CONFIG.institutionSelector, item)
+            })).filter(organization => organization.name)
+        };
+    }
+
+    /**
+     * Builds one node per project
+     * @param {string} pageUrl - Canonical URL of the page
+     * @returns {Object[]}
+     */
+    function buildProjects(pageUrl) {
+        return Projects.getProjects().map(project => {
+            const hasRepository = isRepository(project.repo);
+            const stack = project.stack || [];
+            const languages = stack.filter(tech => CONFIG.programmingLanguages.includes(tech));
+
+            return {
+                '@type': hasRepository ? 'SoftwareSourceCode' : 'CreativeWork',
+                '@id': `${pageUrl}#project-${project.id}`,
+                name: I18n.localize(project.title),
+                description: I18n.localize(project.description),
+                url: `${pageUrl}#project-${project.id}`,
+                codeRepository: hasRepository ? project.repo : undefined,
+                programmingLanguage: hasRepository && languages.length ? languages : undefined,
+                keywords: stack.join(', ') || undefined,
+                dateCreated: project.date || undefined,
+                inLanguage: I18n.getCurrentLanguage(),
+                author: { '@id': getPersonId() }
+            };
+        });
+    }
+
+    /**
+     * Gets the JSON-LD <script>, creating it in <head> if missing
+     * @returns {HTMLScriptElement}
+     */
+    function getScript() {
+        let script = document.getElementById(CONFIG.scriptId);
+
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.id = CONFIG.scriptId;
+            document.head.appendChild(script);
+        }
+
+        return script;
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    /**
+     * Builds the JSON-LD graph for the current language
+     * @returns {Object} { '@context', '@graph' }
+     */
+    function build() {
+        const pageUrl = getPageUrl();
+
+        return {
+            '@context': 'https://schema.org',
+            '@graph': [buildPerson(pageUrl), ...buildProjects(pageUrl)]
+        };
+    }
+
+    /**
+     * Writes the graph into the page's JSON-LD <script>
+     */
+    function render() {
+        // JSON.stringify drops the undefined fields; "<" is escaped so text can't close the <script>
+        getScript().textContent = JSON.stringify(build(), null, 2).replace(/</g, '\\u003c');
+    }
+
+    /**
+     * Renders the graph and rebuilds it on every language change
+     */
+    function init() {
+        if (isInitialized) return;
+        isInitialized = true;
+
+        render();
+        document.addEventListener('languageChanged', render);
+    }
+
+    /**
+     * Stops rebuilding the graph; the JSON-LD already on the page stays
+     */
+    function destroy() {
+        if (!isInitialized) return;
+        isInitialized = false;
+
+        document.removeEventListener('languageChanged', render);
+    }
+
+    return {
+        init,
+        destroy,
+        build,
+        render
+    };
+
+})();
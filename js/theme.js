@@ -1,9 +1,17 @@
 /**
- * Theme Module (Light/Dark Mode)
+ * Theme Module
  * Author: Carlos Garzón López (cgvrzon)
  *
  * Handles theme switching with localStorage persistence,
  * OS preference detection, and smooth transitions.
+ *
+ * Themes come from the CONFIG.themes registry. Each one is built on the
+ * dark or light base scheme, declares its theme-color and sets its own
+ * custom properties in scss/abstracts/_themes.scss (via data-theme-variant).
+ * The mode is a theme name or 'system', which follows the OS and is stored
+ * as the absence of a saved preference, as the inline FOUC script in
+ * index.html expects. Theme.ready resolves with the mode once init() has
+ * run.
  */
 
 const Theme = (function() {
@@ -14,62 +22,125 @@ const Theme = (function() {
     // ==========================================
     const CONFIG = {
         storageKey: 'portfolio_theme',
-        toggleId: 'theme-toggle',
+        pickerId: 'theme-picker',
+        buttonSelector: '.theme-picker__button',
+        menuSelector: '.theme-picker__menu',
+        labelKey: 'aria.themeToggle',
         transitionClass: 'theme-transitioning',
         transitionDuration: 400,
-        themeColors: {
-            dark: '#0a0a0b',
-            light: '#fafafa'
+        // Order toggle() cycles through
+        toggleModes: ['light', 'dark', 'system'],
+        mediaQuery: '(prefers-color-scheme: light)',
+        system: { key: 'theme.system', fallback: 'Sistema' },
+        // Keep names and schemes in sync with the FOUC script in index.html
+        themes: {
+            dark: { scheme: 'dark', color: '#0a0a0b', accent: '#2ecc71', key: 'theme.dark', fallback: 'Oscuro' },
+            light: { scheme: 'light', color: '#fafafa', accent: '#178344', key: 'theme.light', fallback: 'Claro' },
+            'high-contrast': { scheme: 'dark', color: '#000000', accent: '#3ee07f', key: 'theme.highContrast', fallback: 'Alto contraste' },
+            ocean: { scheme: 'dark', color: '#0a0f1a', accent: '#38bdf8', key: 'theme.ocean', fallback: 'Océano' },
+            sunset: { scheme: 'light', color: '#f2ede8', accent: '#f97316', key: 'theme.sunset', fallback: 'Atardecer' }
         }
     };
 
+    // ==========================================
+    // State
+    // ==========================================
+    let mode = 'system';
+    let resolveReady = null;
+    const ready = new Promise(function(resolve) {
+        resolveReady = resolve;
+    });
+
     // ==========================================
     // Private Methods
     // ==========================================
 
     /**
-     * Detects the preferred theme
-     * Priority: localStorage > OS preference > dark (default)
-     * @returns {string} 'dark' or 'light'
+     * Checks whether a mode is 'system' or a registered theme
+     * @param {string} value - Mode to check
+     * @returns {boolean}
+     */
+    function isValidMode(value) {
+        return value === 'system' || Object.prototype.hasOwnProperty.call(CONFIG.themes, value);
+    }
+
+    /**
+     * Reads the saved mode
+     * @returns {string} Theme name, or 'system' when nothing valid is saved
+     */
+    function readStoredMode() {
+        try {
+            const stored = localStorage.getItem(CONFIG.storageKey);
+            if (stored && isValidMode(stored)) {
+                return stored;
+            }
+        } catch (e) {
+            // localStorage not available
+        }
+
+        return 'system';
+    }
+
+    /**
+     * Saves the mode ('system' clears the saved preference)
+     * @param {string} value - Mode to save
      */
-    function detectTheme() {
-        // 1. Check localStorage
-        const stored = localStorage.getItem(CONFIG.storageKey);
-        if (stored === 'dark' || stored === 'light') {
-            return stored;
+    function saveMode(value) {
+        try {
+            if (value === 'system') {
+                localStorage.removeItem(CONFIG.storageKey);
+            } else {
+                localStorage.setItem(CONFIG.storageKey, value);
+            }
+        } catch (e) {
+            // localStorage not available
         }
+    }
 
-        // 2. Check OS preference
-        if (window.matchMedia('(prefers-color-scheme: light)').matches) {
-            return 'light';
+    /**
+     * Resolves a mode to the theme actually shown
+     * Priority: explicit theme > OS preference > dark (default)
+     * @param {string} value - Theme name or 'system'
+     * @returns {string} Theme name
+     */
+    function resolveTheme(value) {
+        if (value !== 'system' && isValidMode(value)) {
+            return value;
         }
 
-        // 3. Default to dark
-        return 'dark';
+        return window.matchMedia(CONFIG.mediaQuery).matches ? 'light' : 'dark';
     }
 
     /**
      * Applies the theme to the document
-     * @param {string} theme - 'dark' or 'light'
+     * @param {string} theme - Theme name
      * @param {boolean} animate - Whether to animate the transition
      */
     function applyTheme(theme, animate) {
         const html = document.documentElement;
+        const definition = CONFIG.themes[theme];
 
         if (animate) {
             html.classList.add(CONFIG.transitionClass);
         }
 
-        if (theme === 'light') {
+        if (definition.scheme === 'light') {
             html.setAttribute('data-theme', 'light');
         } else {
             html.removeAttribute('data-theme');
         }
 
+        // Base themes are the schemes themselves; anything else is a variant
+        if (theme !== definition.scheme) {
+            html.setAttribute('data-theme-variant', theme);
+        } else {
+            html.removeAttribute('data-theme-variant');
+        }
+
         // Update meta theme-color
         const meta = document.querySelector('meta[name="theme-color"]');
         if (meta) {
-            meta.setAttribute('content', CONFIG.themeColors[theme]);
+            meta.setAttribute('content', definition.color);
         }
 
         if (animate) {
@@ -80,42 +151,258 @@ const Theme = (function() {
     }
 
     /**
-     * Toggles between dark and light themes
+     * Creates a menu option for 'system' or a theme
+     * @param {string} value - Mode the option selects
+     * @param {Object} label - { key, fallback } for the option text
+     * @param {Object} [definition] - Theme definition, for the swatch
+     * @returns {HTMLLIElement}
      */
-    function toggle() {
-        var current = document.documentElement.getAttribute('data-theme') === 'light' ? 'light' : 'dark';
-        var next = current === 'dark' ? 'light' : 'dark';
+    function createOption(value, label, definition) {
+        const item = document.createElement('li');
+        const option = document.createElement('button');
+        const swatch = document.createElement('span');
+        const text = document.createElement('span');
 
-        applyTheme(next, true);
+        item.setAttribute('role', 'none');
+        option.type = 'button';
+        option.className = 'theme-picker__option';
+        option.setAttribute('role', 'menuitemradio');
+        option.setAttribute('data-theme-option', value);
+        option.setAttribute('tabindex', '-1');
 
-        try {
-            localStorage.setItem(CONFIG.storageKey, next);
-        } catch (e) {
-            // localStorage not available
+        swatch.className = 'theme-picker__swatch';
+        swatch.setAttribute('aria-hidden', 'true');
+        if (definition) {
+            swatch.style.setProperty('--swatch-bg', definition.color);
+            swatch.style.setProperty('--swatch-accent', definition.accent);
+        } else {
+            swatch.classList.add('theme-picker__swatch--system');
         }
+
+        text.setAttribute('data-i18n', label.key);
+        text.textContent = typeof I18n !== 'undefined' ? I18n.t(label.key, label.fallback) : label.fallback;
+
+        option.appendChild(swatch);
+        option.appendChild(text);
+        item.appendChild(option);
+
+        return item;
     }
 
     /**
-     * Initializes the theme system
+     * Fills the picker menu from the theme registry
+     * @param {HTMLElement} menu - Menu element
      */
-    function init() {
-        var theme = detectTheme();
-        applyTheme(theme, false);
+    function renderMenu(menu) {
+        const items = [createOption('system', CONFIG.system)];
+
+        Object.keys(CONFIG.themes).forEach(function(name) {
+            const definition = CONFIG.themes[name];
+            items.push(createOption(name, definition, definition));
+        });
+
+        menu.replaceChildren.apply(menu, items);
+    }
+
+    /**
+     * Shows the current mode on the picker (button icon, label and checked option).
+     * The mode is also kept in data-i18n-args so language changes relabel it.
+     */
+    function updatePicker() {
+        const picker = document.getElementById(CONFIG.pickerId);
+        if (!picker) return;
 
-        // Bind toggle button
-        var btn = document.getElementById(CONFIG.toggleId);
-        if (btn) {
-            btn.addEventListener('click', toggle);
+        const btn = picker.querySelector(CONFIG.buttonSelector);
+        const args = { mode: mode };
+
+        btn.setAttribute('data-mode', mode);
+        btn.setAttribute('data-scheme', CONFIG.themes[resolveTheme(mode)].scheme);
+        btn.setAttribute('data-i18n-args', JSON.stringify(args));
+
+        if (typeof I18n !== 'undefined') {
+            const label = I18n.t(CONFIG.labelKey, args);
+            if (label) btn.setAttribute('aria-label', label);
+        }
+
+        picker.querySelectorAll('[data-theme-option]').forEach(function(option) {
+            option.setAttribute('aria-checked', (option.getAttribute('data-theme-option') === mode).toString());
+        });
+    }
+
+    /**
+     * Opens or closes the picker menu
+     * @param {boolean} open - Whether to open it
+     * @param {boolean} [focusMenu] - Move focus to the checked option when opening
+     */
+    function setMenuOpen(open, focusMenu) {
+        const picker = document.getElementById(CONFIG.pickerId);
+        const btn = picker.querySelector(CONFIG.buttonSelector);
+        const menu = picker.querySelector(CONFIG.menuSelector);
+
+        menu.hidden = !open;
+        btn.setAttribute('aria-expanded', open.toString());
+
+        if (open && focusMenu) {
+            const checked = menu.querySelector('[aria-checked="true"]') || menu.querySelector('[data-theme-option]');
+            checked.focus();
         }
+    }
+
+    /**
+     * Moves focus between menu options with the arrow, Home and End keys
+     * @param {HTMLElement} menu - Menu element
+     * @param {string} key - Pressed key
+     */
+    function moveFocus(menu, key) {
+        const options = Array.prototype.slice.call(menu.querySelectorAll('[data-theme-option]'));
+        const index = options.indexOf(document.activeElement);
+        const last = options.length - 1;
+        const next = {
+            ArrowDown: index >= last ? 0 : index + 1,
+            ArrowUp: index <= 0 ? last : index - 1,
+            Home: 0,
+            End: last
+        }[key];
+
+        options[next].focus();
+    }
+
+    /**
+     * Binds the picker button, its menu and outside clicks
+     */
+    function bindPicker() {
+        const picker = document.getElementById(CONFIG.pickerId);
+        if (!picker) return;
+
+        const btn = picker.querySelector(CONFIG.buttonSelector);
+        const menu = picker.querySelector(CONFIG.menuSelector);
+
+        renderMenu(menu);
+
+        btn.addEventListener('click', function() {
+            setMenuOpen(menu.hidden, true);
+        });
+
+        btn.addEventListener('keydown', function(e) {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                setMenuOpen(true, true);
+            }
+        });
+
+        menu.addEventListener('click', function(e) {
+            const option = e.target.closest('[data-theme-option]');
+            if (!option) return;
+
+            set(option.getAttribute('data-theme-option'));
+            setMenuOpen(false);
+            btn.focus();
+        });
+
+        menu.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                setMenuOpen(false);
+                btn.focus();
+            } else if (['ArrowDown', 'ArrowUp', 'Home', 'End'].indexOf(e.key) !== -1) {
+                e.preventDefault();
+                moveFocus(menu, e.key);
+            } else if (e.key === 'Tab') {
+                setMenuOpen(false);
+            }
+        });
+
+        document.addEventListener('click', function(e) {
+            if (!menu.hidden && !picker.contains(e.target)) {
+                setMenuOpen(false);
+            }
+        });
+    }
+
+    /**
+     * Dispatches the themeChanged event
+     */
+    function dispatchThemeChange() {
+        const theme = resolveTheme(mode);
+        const event = new CustomEvent('themeChanged', {
+            detail: { mode: mode, theme: theme, scheme: CONFIG.themes[theme].scheme }
+        });
+        document.dispatchEvent(event);
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    /**
+     * Changes the theme mode and saves it
+     * @param {string} value - Theme name (e.g., 'high-contrast') or 'system'
+     * @returns {boolean} Whether the mode is valid
+     * @example
+     * Theme.set('system'); // Follow the OS again
+     */
+    function set(value) {
+        if (!isValidMode(value)) {
+            console.error('[Theme] Unsupported mode: ' + value);
+            return false;
+        }
+
+        const previousTheme = resolveTheme(mode);
+        mode = value;
+
+        applyTheme(resolveTheme(mode), resolveTheme(mode) !== previousTheme);
+        saveMode(mode);
+        updatePicker();
+        dispatchThemeChange();
+
+        return true;
+    }
+
+    /**
+     * Gets the current theme mode
+     * @returns {string} Theme name or 'system'
+     */
+    function get() {
+        return mode;
+    }
+
+    /**
+     * Lists the modes that can be passed to set()
+     * @returns {string[]} 'system' followed by every registered theme
+     */
+    function getThemes() {
+        return ['system'].concat(Object.keys(CONFIG.themes));
+    }
+
+    /**
+     * Moves to the next mode: light → dark → system
+     */
+    function toggle() {
+        const next = CONFIG.toggleModes[(CONFIG.toggleModes.indexOf(mode) + 1) % CONFIG.toggleModes.length];
+        set(next);
+    }
+
+    /**
+     * Initializes the theme system
+     */
+    function init() {
+        mode = readStoredMode();
+        applyTheme(resolveTheme(mode), false);
+        bindPicker();
+        updatePicker();
 
         // Listen to OS preference changes
-        var mq = window.matchMedia('(prefers-color-scheme: light)');
-        mq.addEventListener('change', function(e) {
-            // Only react if user hasn't set a manual preference
-            if (!localStorage.getItem(CONFIG.storageKey)) {
-                applyTheme(e.matches ? 'light' : 'dark', true);
+        const mq = window.matchMedia(CONFIG.mediaQuery);
+        mq.addEventListener('change', function() {
+            // Only react while following the OS
+            if (mode === 'system') {
+                applyTheme(resolveTheme(mode), true);
+                updatePicker();
+                dispatchThemeChange();
             }
         });
+
+        resolveReady(mode);
     }
 
     // ==========================================
@@ -123,6 +410,11 @@ const Theme = (function() {
     // ==========================================
     return {
         init: init,
+        /** @type {Promise<string>} Resolves with the mode once init() has applied it */
+        ready: ready,
+        set: set,
+        get: get,
+        getThemes: getThemes,
         toggle: toggle
     };
 
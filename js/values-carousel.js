@@ -6,98 +6,470 @@
  * on hover using requestAnimationFrame. Cards stay upright
  * (only position orbits) — the "ferris wheel" effect.
  * Cards freeze on mouseleave and resume from that angle on re-hover.
+ *
+ * Keyboard: focusing a card brings it to 12 o'clock; arrow keys, Home
+ * and End step between cards (roving tabindex). Touch: drag the wheel,
+ * release to let it coast and settle on the nearest card. The card at
+ * the top is announced through an aria-live region. With reduced motion
+ * the wheel snaps instead of animating.
+ *
+ * Every .values-grid on the page gets its own wheel, with any number of
+ * cards. Mounting adds .values-grid--wheel, which is what switches CSS
+ * from the plain grid to the wheel layout (a compact one on phones, with
+ * the top card's description in a caption under the wheel), so the wheel
+ * runs at every screen size. The radius follows the container size
+ * (ResizeObserver). Options can be set per wheel with data attributes:
+ * data-carousel-speed="0.3", data-carousel-radius="280", ...
  */
 
 const ValuesCarousel = (function () {
     'use strict';
 
     const CONFIG = {
+        selector: '.values-grid',
+        cardSelector: '.value-card',
+        titleSelector: '.value-card__title',
+        descriptionSelector: '.value-card__description',
+        wheelClass: 'values-grid--wheel',
+        captionClass: 'values-grid__caption',
+        activeClass: 'value-card--active',
+        announceKey: 'about.values.active'
+    };
+
+    // Per-wheel options, overridable with data-carousel-* attributes
+    const DEFAULTS = {
         speed: 0.15,          // radians per second (~42s full revolution)
-        radius: 320,          // px - orbit radius
-        minWidth: 768,
-        cardCount: 6
+        radius: null,         // px - orbit radius; null = fit the container
+        snapDuration: 600,    // ms - focus/arrow rotation to 12 o'clock
+        friction: 0.04,       // fraction of swipe velocity left after 1s of coasting
+        minVelocity: 0.3      // radians per second - below this, coasting snaps
     };
 
-    let container = null;
-    let cards = [];
-    let angle = 0;            // current rotation angle in radians
-    let animationId = null;
-    let lastTimestamp = null;
+    let instances = [];
 
     function prefersReducedMotion() {
         return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
     }
 
-    function positionCards() {
-        const step = (2 * Math.PI) / CONFIG.cardCount;
-        cards.forEach(function (card, i) {
-            var cardAngle = angle + i * step;
-            // Start from top (-PI/2) so first card is at 12 o'clock
-            var x = CONFIG.radius * Math.cos(cardAngle - Math.PI / 2);
-            var y = CONFIG.radius * Math.sin(cardAngle - Math.PI / 2);
-            card.style.transform =
-                'translate(calc(-50% + ' + x + 'px), calc(-50% + ' + y + 'px))';
-        });
+    function easeOutCubic(t) {
+        return 1 - Math.pow(1 - t, 3);
     }
 
-    function animate(timestamp) {
-        if (lastTimestamp === null) lastTimestamp = timestamp;
-        var delta = (timestamp - lastTimestamp) / 1000;
-        lastTimestamp = timestamp;
-        angle += CONFIG.speed * delta;
-        positionCards();
-        animationId = requestAnimationFrame(animate);
-    }
+    // data-carousel-snap-duration="400" → { snapDuration: 400 }
+    function readOptions(element) {
+        var options = Object.assign({}, DEFAULTS);
+
+        Object.keys(DEFAULTS).forEach(function (name) {
+            var attr = 'carousel' + name.charAt(0).toUpperCase() + name.slice(1);
+            var value = parseFloat(element.dataset[attr]);
+            if (!isNaN(value)) options[name] = value;
+        });
 
-    function handleMouseEnter() {
-        if (window.innerWidth < CONFIG.minWidth) return;
-        if (prefersReducedMotion()) return;
-        lastTimestamp = null;
-        animationId = requestAnimationFrame(animate);
+        return options;
     }
 
-    function handleMouseLeave() {
-        if (animationId !== null) {
-            cancelAnimationFrame(animationId);
-            animationId = null;
+    function createCarousel(container, overrides) {
+        const options = Object.assign(readOptions(container), overrides);
+        const cards = Array.from(container.querySelectorAll(CONFIG.cardSelector));
+
+        let liveRegion = null;
+        let caption = null;
+        let resizeObserver = null;
+        let radius = 0;
+        let angle = 0;            // current rotation angle in radians
+        let activeIndex = 0;      // card at (or last brought to) 12 o'clock
+        let animationId = null;
+        let lastTimestamp = null;
+        let motion = null;        // { type: 'spin' | 'tween' | 'coast', ... }
+        let drag = null;
+
+        // Set on mount and removed on destroy; CSS lays out the wheel from it
+        function isWheelActive() {
+            return container.classList.contains(CONFIG.wheelClass);
+        }
+
+        function getStep() {
+            return (2 * Math.PI) / cards.length;
+        }
+
+        // Largest orbit that keeps every card inside the container
+        function measureRadius() {
+            if (options.radius !== null) return options.radius;
+
+            var cardWidth = 0;
+            var cardHeight = 0;
+            cards.forEach(function (card) {
+                cardWidth = Math.max(cardWidth, card.offsetWidth);
+                cardHeight = Math.max(cardHeight, card.offsetHeight);
+            });
+
+            var size = Math.min(container.clientWidth, container.clientHeight);
+            return Math.max(0, (size - Math.max(cardWidth, cardHeight)) / 2);
+        }
+
+        function positionCards() {
+            const step = getStep();
+            cards.forEach(function (card, i) {
+                var cardAngle = angle + i * step;
+                // Start from top (-PI/2) so first card is at 12 o'clock
+                var x = radius * Math.cos(cardAngle - Math.PI / 2);
+                var y = radius * Math.sin(cardAngle - Math.PI / 2);
+                card.style.transform =
+                    'translate(calc(-50% + ' + x + 'px), calc(-50% + ' + y + 'px))';
+            });
+        }
+
+        // Index of the card currently closest to 12 o'clock
+        function getTopIndex() {
+            var index = Math.round(-angle / getStep()) % cards.length;
+            return (index + cards.length) % cards.length;
+        }
+
+        // Angle that puts a card at 12 o'clock, taking the shortest way round
+        function getAngleFor(index) {
+            var full = 2 * Math.PI;
+            var target = -index * getStep();
+            return target + Math.round((angle - target) / full) * full;
+        }
+
+        // ==========================================
+        // Animation loop (hover spin, snap tween, swipe coasting)
+        // ==========================================
+        function stopMotion() {
+            if (animationId !== null) {
+                cancelAnimationFrame(animationId);
+                animationId = null;
+            }
+            motion = null;
+        }
+
+        function startMotion(next) {
+            stopMotion();
+            motion = next;
+            lastTimestamp = null;
+            animationId = requestAnimationFrame(animate);
         }
-    }
 
-    // Debounced resize handler
-    var resizeTimer = null;
-    function handleResize() {
-        clearTimeout(resizeTimer);
-        resizeTimer = setTimeout(function () {
-            if (window.innerWidth < CONFIG.minWidth) {
-                // Reset: let CSS handle stacked layout
-                if (animationId) {
-                    cancelAnimationFrame(animationId);
+        function animate(timestamp) {
+            if (lastTimestamp === null) lastTimestamp = timestamp;
+            var delta = (timestamp - lastTimestamp) / 1000;
+            lastTimestamp = timestamp;
+
+            if (motion.type === 'spin') {
+                angle += options.speed * delta;
+            } else if (motion.type === 'tween') {
+                if (motion.start === null) motion.start = timestamp;
+                var progress = Math.min((timestamp - motion.start) / options.snapDuration, 1);
+                angle = motion.from + (motion.to - motion.from) * easeOutCubic(progress);
+
+                if (progress === 1) {
+                    positionCards();
                     animationId = null;
+                    motion = null;
+                    return;
                 }
-                cards.forEach(function (c) { c.style.transform = ''; });
-                angle = 0;
+            } else if (motion.type === 'coast') {
+                angle += motion.velocity * delta;
+                motion.velocity *= Math.pow(options.friction, delta);
+
+                if (Math.abs(motion.velocity) < options.minVelocity) {
+                    animationId = null;
+                    motion = null;
+                    goTo(getTopIndex(), true);
+                    return;
+                }
+            }
+
+            positionCards();
+            animationId = requestAnimationFrame(animate);
+        }
+
+        // ==========================================
+        // Active card & announcements
+        // ==========================================
+        function setActive(index, announce) {
+            activeIndex = index;
+
+            cards.forEach(function (card, i) {
+                var isActive = i === index;
+                card.classList.toggle(CONFIG.activeClass, isActive);
+                card.setAttribute('tabindex', isActive ? '0' : '-1');
+            });
+
+            updateCaption();
+
+            if (announce && liveRegion) {
+                var title = cards[index].querySelector(CONFIG.titleSelector);
+                var args = {
+                    title: title ? title.textContent.trim() : '',
+                    position: index + 1,
+                    total: cards.length
+                };
+                liveRegion.textContent = I18n.t(CONFIG.announceKey, args) || args.title;
+            }
+        }
+
+        // Copies the active card's description under the wheel (shown on phones,
+        // where the orbiting cards only show their icon and title)
+        function updateCaption() {
+            if (!caption) return;
+
+            var description = cards[activeIndex].querySelector(CONFIG.descriptionSelector);
+            caption.textContent = description ? description.textContent.trim() : '';
+        }
+
+        // Brings a card to 12 o'clock (animated unless reduced motion)
+        function goTo(index, announce) {
+            setActive(index, announce);
+            if (!isWheelActive()) return;
+
+            var target = getAngleFor(index);
+
+            if (prefersReducedMotion()) {
+                stopMotion();
+                angle = target;
+                positionCards();
                 return;
             }
-            // Re-position at current angle
+
+            startMotion({ type: 'tween', from: angle, to: target, start: null });
+        }
+
+        // ==========================================
+        // Mouse: spin on hover
+        // ==========================================
+        function handleMouseEnter() {
+            if (!isWheelActive()) return;
+            if (prefersReducedMotion()) return;
+            if (motion !== null || drag !== null) return;
+            startMotion({ type: 'spin' });
+        }
+
+        function handleMouseLeave() {
+            if (motion !== null && motion.type === 'spin') {
+                stopMotion();
+                // Keep Tab landing on the card nearest the top
+                setActive(getTopIndex(), false);
+            }
+        }
+
+        // ==========================================
+        // Keyboard: focus and arrow keys
+        // ==========================================
+        function handleFocusIn(event) {
+            var index = cards.indexOf(event.target);
+            if (index === -1 || (index === activeIndex && motion === null && angle === getAngleFor(index))) return;
+            goTo(index, true);
+        }
+
+        function handleKeyDown(event) {
+            var index = cards.indexOf(event.target);
+            if (index === -1) return;
+
+            var last = cards.length - 1;
+            var next = {
+                ArrowRight: index === last ? 0 : index + 1,
+                ArrowDown: index === last ? 0 : index + 1,
+                ArrowLeft: index === 0 ? last : index - 1,
+                ArrowUp: index === 0 ? last : index - 1,
+                Home: 0,
+                End: last
+            }[event.key];
+
+            if (next === undefined) return;
+
+            event.preventDefault();
+            cards[next].focus();
+        }
+
+        // ==========================================
+        // Touch: drag with inertia
+        // ==========================================
+        function handlePointerDown(event) {
+            if (event.pointerType === 'mouse' || !isWheelActive()) return;
+
+            stopMotion();
+            drag = {
+                id: event.pointerId,
+                startX: event.clientX,
+                startAngle: angle,
+                lastX: event.clientX,
+                lastTime: event.timeStamp,
+                velocity: 0
+            };
+            container.setPointerCapture(event.pointerId);
+        }
+
+        function handlePointerMove(event) {
+            if (drag === null || event.pointerId !== drag.id || radius === 0) return;
+
+            var elapsed = (event.timeStamp - drag.lastTime) / 1000;
+            // Dragging right turns the wheel clockwise
+            angle = drag.startAngle + (event.clientX - drag.startX) / radius;
+
+            if (elapsed > 0) {
+                drag.velocity = (event.clientX - drag.lastX) / radius / elapsed;
+            }
+            drag.lastX = event.clientX;
+            drag.lastTime = event.timeStamp;
+
             positionCards();
-        }, 150);
-    }
+        }
 
-    function init() {
-        container = document.querySelector('.values-grid');
-        if (!container) return;
-        cards = Array.from(container.querySelectorAll('.value-card'));
-        if (cards.length !== CONFIG.cardCount) return;
+        function handlePointerUp(event) {
+            if (drag === null || event.pointerId !== drag.id) return;
+
+            var velocity = drag.velocity;
+            var moved = drag.lastX !== drag.startX;
+            drag = null;
+
+            if (!moved) return;
+
+            if (prefersReducedMotion() || Math.abs(velocity) < options.minVelocity) {
+                goTo(getTopIndex(), true);
+                return;
+            }
+
+            startMotion({ type: 'coast', velocity: velocity });
+        }
 
-        if (window.innerWidth >= CONFIG.minWidth && !prefersReducedMotion()) {
-            // Set initial circular positions (static, no animation)
+        // ==========================================
+        // Layout: container size
+        // ==========================================
+        function layout() {
+            // Re-position at current angle with the new radius
+            radius = measureRadius();
             positionCards();
         }
 
-        container.addEventListener('mouseenter', handleMouseEnter);
-        container.addEventListener('mouseleave', handleMouseLeave);
-        window.addEventListener('resize', handleResize);
+        // Debounced fallback for browsers without ResizeObserver
+        var resizeTimer = null;
+        function handleResize() {
+            clearTimeout(resizeTimer);
+            resizeTimer = setTimeout(layout, 150);
+        }
+
+        function createLiveRegion() {
+            var region = document.createElement('p');
+            region.className = 'visually-hidden';
+            region.setAttribute('aria-live', 'polite');
+            region.setAttribute('aria-atomic', 'true');
+            container.after(region);
+            return region;
+        }
+
+        // Decorative copy of the description: the card itself is what's read out
+        function createCaption() {
+            var element = document.createElement('p');
+            element.className = CONFIG.captionClass;
+            element.setAttribute('aria-hidden', 'true');
+            container.after(element);
+            return element;
+        }
+
+        var listeners = {
+            mouseenter: handleMouseEnter,
+            mouseleave: handleMouseLeave,
+            focusin: handleFocusIn,
+            keydown: handleKeyDown,
+            pointerdown: handlePointerDown,
+            pointermove: handlePointerMove,
+            pointerup: handlePointerUp,
+            pointercancel: handlePointerUp
+        };
+
+        function mount() {
+            container.classList.add(CONFIG.wheelClass);
+            liveRegion = createLiveRegion();
+            caption = createCaption();
+            setActive(0, false);
+            layout();
+
+            Object.keys(listeners).forEach(function (type) {
+                container.addEventListener(type, listeners[type]);
+            });
+            document.addEventListener('languageChanged', updateCaption);
+
+            if (typeof ResizeObserver === 'function') {
+                resizeObserver = new ResizeObserver(layout);
+                resizeObserver.observe(container);
+            } else {
+                window.addEventListener('resize', handleResize);
+            }
+        }
+
+        function destroy() {
+            stopMotion();
+            clearTimeout(resizeTimer);
+
+            Object.keys(listeners).forEach(function (type) {
+                container.removeEventListener(type, listeners[type]);
+            });
+            document.removeEventListener('languageChanged', updateCaption);
+
+            if (resizeObserver) {
+                resizeObserver.disconnect();
+            } else {
+                window.removeEventListener('resize', handleResize);
+            }
+
+            cards.forEach(function (card) {
+                card.style.transform = '';
+                card.classList.remove(CONFIG.activeClass);
+                card.removeAttribute('tabindex');
+            });
+
+            container.classList.remove(CONFIG.wheelClass);
+            if (liveRegion) liveRegion.remove();
+            if (caption) caption.remove();
+        }
+
+        mount();
+
+        return {
+            element: container,
+            goTo: function (index) { goTo(((index % cards.length) + cards.length) % cards.length, true); },
+            getActiveIndex: function () { return activeIndex; },
+            destroy: destroy
+        };
     }
 
-    return { init: init };
+    /**
+     * Turns an element into a wheel
+     * @param {HTMLElement} element - Container of the cards
+     * @param {Object} [options] - Overrides for DEFAULTS (after data attributes)
+     * @returns {Object|null} Instance ({ element, goTo, getActiveIndex, destroy }), or null with no cards
+     */
+    function create(element, options) {
+        var existing = instances.find(function (instance) { return instance.element === element; });
+        if (existing) return existing;
+        if (!element.querySelector(CONFIG.cardSelector)) return null;
+
+        var instance = createCarousel(element, options || {});
+        instances.push(instance);
+        return instance;
+    }
+
+    /**
+     * Creates a wheel for every .values-grid on the page
+     */
+    function init() {
+        document.querySelectorAll(CONFIG.selector).forEach(function (element) {
+            create(element);
+        });
+    }
+
+    /**
+     * Removes every wheel and restores the cards' plain grid layout
+     */
+    function destroy() {
+        instances.forEach(function (instance) { instance.destroy(); });
+        instances = [];
+    }
+
+    return {
+        init: init,
+        create: create,
+        destroy: destroy
+    };
 })();
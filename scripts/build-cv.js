@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+/**
+ * CV Builder
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Builds a printable CV per language from the same rendered page the
+ * prerenderer produces (src/index.html + locales + data/projects.json),
+ * so the CV can never disagree with the site. For each language it writes
+ * assets/docs/cv/<lang>.html from the src/cv.html template and prints it
+ * to assets/docs/CV-Carlos-Garzon-<lang>.pdf with headless Chrome/Chromium
+ * (set CHROME_PATH if it isn't on the PATH). Without a browser only the
+ * HTML is written and the existing PDFs are kept.
+ *
+ * data/cv.json lists the printable HTML and, when there is one, the PDF
+ * per language for js/cv-links.js. Run build:html afterwards so the
+ * prerendered pages link the new files.
+ *
+ * Usage: node scripts/build-cv.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { JSDOM } = require('jsdom');
+const { renderDocument, loadSources, pageUrl } = require('./prerender');
+
+// ==========================================
+// Configuration
+// ==========================================
+const ROOT = path.resolve(__dirname, '..');
+
+const CONFIG = {
+    template: path.join(ROOT, 'src', 'cv.html'),
+    htmlDir: path.join(ROOT, 'assets', 'docs', 'cv'),
+    htmlPath: 'assets/docs/cv/{lang}.html',
+    pdfPath: 'assets/docs/CV-Carlos-Garzon-{lang}.pdf',
+    manifest: path.join(ROOT, 'data', 'cv.json'),
+    // Stack sub-blocks left out of the CV (by their data-i18n key): planned
+    // technologies aren't experience
+    skipStackGroups: ['stack.future'],
+    browsers: [
+        'google-chrome',
+        'google-chrome-stable',
+        'chromium',
+        'chromium-browser',
+        'microsoft-edge',
+        '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+        '/Applications/Chromium.app/Contents/MacOS/Chromium'
+    ],
+    printTimeout: 60000,
+    banner: ' Generated by scripts/build-cv.js from src/cv.html. Edit the template, not this file. '
+};
+
+// ==========================================
+// Helpers
+// ==========================================
+
+/**
+ * Collapses the whitespace of an element's text
+ * @param {Element|null} element
+ * @returns {string}
+ */
+function textOf(element) {
+    return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Creates an element with optional class and text
+ * @param {Document} document - Document to create it in
+ * @param {string} tagName - Tag to create
+ * @param {string} [className] - Class attribute
+ * @param {string} [text] - Text content
+ * @returns {HTMLElement}
+ */
+function createElement(document, tagName, className, text) {
+    const element = document.createElement(tagName);
+
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+
+    return element;
+}
+
+/**
+ * Reads everything the CV shows from a rendered page
+ * @param {Document} page - Page rendered in one language
+ * @param {string} lang - Language code
+ * @returns {Object} CV content
+ */
+function extractContent(page, lang) {
+    const social = Array.from(page.querySelectorAll('.contact__social a'));
+    const email = page.querySelector('a[href^="mailto:"]');
+
+    return {
+        name: textOf(page.querySelector('.hero__name')),
+        role: textOf(page.querySelector('.hero__role')),
+        tagline: textOf(page.querySelector('.hero__tagline')),
+        contact: [
+            textOf(page.querySelector('.hero__location')),
+            email && { text: email.getAttribute('href').slice('mailto:'.length), href: email.getAttribute('href') },
+            ...social.map(link => ({ text: link.getAttribute('aria-label'), href: link.getAttribute('href') })),
+            textOf(page.querySelector('.hero__availability'))
+        ].filter(Boolean),
+        aboutTitle: textOf(page.querySelector('#about .section__title')),
+        about: textOf(page.querySelector('.about__bio')),
+        projectsTitle: textOf(page.querySelector('#projects .section__title')),
+        projects: Array.from(page.querySelectorAll('.project-card')).map(card => ({
+            title: textOf(card.querySelector('.project-card__title')),
+            meta: textOf(card.querySelector('.project-card__stack')),
+            text: textOf(card.querySelector('.project-card__description'))
+        })),
+        educationTitle: textOf(page.querySelector('#education .section__title')),
+        education: Array.from(page.querySelectorAll('.education-item')).map(item => ({
+            title: textOf(item.querySelector('.education-item__title')),
+            meta: [item.querySelector('.education-item__institution'), item.querySelector('.education-item__period')]
+                .map(textOf)
+                .filter(Boolean)
+                .join(' · ')
+        })),
+        stackTitle: textOf(page.querySelector('#stack .section__title')),
+        stack: extractStack(page),
+        languagesTitle: textOf(page.querySelector('.about__languages .about__extras-title')),
+        languages: Array.from(page.querySelectorAll('.languages-list li')).map(textOf),
+        url: pageUrl(lang)
+    };
+}
+
+/**
+ * Reads the stack blocks as titled lists of "category: technologies" rows
+ * @param {Document} page - Rendered page
+ * @returns {Object[]} [{ title, rows: [{ label, value }], tags }]
+ */
+function extractStack(page) {
+    return Array.from(page.querySelectorAll('#stack .stack__block')).map(block => {
+        const rows = Array.from(block.querySelectorAll('.stack__category'))
+            .map(category => ({ category, group: category.closest('.stack__sub-block') }))
+            .filter(({ group }) => {
+                const title = group && group.querySelector('.stack__sub-block-title');
+                return !(title && CONFIG.skipStackGroups.includes(title.getAttribute('data-i18n')));
+            })
+            .map(({ category, group }) => ({
+                label: [
+                    group && textOf(group.querySelector('.stack__sub-block-title')),
+                    textOf(category.querySelector('.stack__category-title'))
+                ].filter(Boolean).join(' · '),
+                value: Array.from(category.querySelectorAll('.tech-icon__name')).map(textOf).join(', ')
+            }));
+
+        return {
+            title: textOf(block.querySelector('.stack__block-title')),
+            rows,
+            // Blocks without categories (methodologies) are a plain list of tags
+            tags: Array.from(block.querySelectorAll('.stack-tag')).map(textOf).join(', ')
+        };
+    });
+}
+
+/**
+ * Fills the CV template with the extracted content
+ * @param {string} template - src/cv.html
+ * @param {Object} content - Result of extractContent()
+ * @param {string} lang - Language code
+ * @returns {string} CV HTML
+ */
+function renderCv(template, content, lang) {
+    const dom = new JSDOM(template);
+    const { document } = dom.window;
+    const slot = name => document.querySelector(`[data-cv="${name}"]`);
+    const create = (...args) => createElement(document, ...args);
+
+    document.documentElement.lang = lang;
+    document.title = `${content.name} — CV`;
+
+    ['name', 'role', 'tagline', 'aboutTitle', 'about', 'projectsTitle', 'educationTitle', 'stackTitle', 'languagesTitle']
+        .forEach(name => {
+            slot(name).textContent = content[name];
+        });
+
+    slot('contact').append(...content.contact.map(entry => {
+        const item = create('li');
+
+        if (typeof entry === 'string') {
+            item.textContent = entry;
+        } else {
+            const link = create('a', '', entry.text);
+            link.href = entry.href;
+            item.appendChild(link);
+        }
+
+        return item;
+    }));
+
+    [...content.projects, ...content.education].forEach(entry => {
+        const item = create('article', 'cv__item');
+        item.append(create('h3', 'cv__item-title', entry.title));
+        if (entry.meta) item.append(create('p', 'cv__item-meta', entry.meta));
+        if (entry.text) item.append(create('p', '', entry.text));
+
+        slot(content.projects.includes(entry) ? 'projects' : 'education').appendChild(item);
+    });
+
+    content.stack.forEach(block => {
+        slot('stack').append(create('h3', 'cv__block-title', block.title));
+
+        if (block.rows.length) {
+            const list = create('dl', 'cv__list');
+
+            block.rows.forEach(row => {
+                list.append(create('dt', '', row.label), create('dd', '', row.value));
+            });
+
+            slot('stack').append(list);
+        } else if (block.tags) {
+            slot('stack').append(create('p', '', block.tags));
+        }
+    });
+
+    slot('languages').append(...content.languages.map(language => create('li', '', language)));
+
+    slot('url').href = content.url;
+    slot('url').textContent = content.url.replace(/^https?:\/\//, '').replace(/\/$/, '');
+
+    document.documentElement.before(document.createComment(CONFIG.banner));
+    return `${dom.serialize()}\n`;
+}
+
+/**
+ * Finds a headless-capable browser
+ * @returns {string|null} Executable path or command, or null if none is installed
+ */
+function findBrowser() {
+    if (process.env.CHROME_PATH) {
+        return process.env.CHROME_PATH;
+    }
+
+    const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+
+    for (const candidate of CONFIG.browsers) {
+        if (path.isAbsolute(candidate)) {
+            if (fs.existsSync(candidate)) return candidate;
+        } else if (dirs.some(dir => fs.existsSync(path.join(dir, candidate)))) {
+            return candidate;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Prints an HTML file to PDF with headless Chrome
+ * @param {string} browser - Browser executable
+ * @param {string} htmlFile - Absolute path of the CV HTML
+ * @param {string} pdfFile - Absolute path of the PDF to write
+ */
+function printPdf(browser, htmlFile, pdfFile) {
+    const result = spawnSync(browser, [
+        '--headless=new',
+        '--disable-gpu',
+        '--no-pdf-header-footer',
+        '--print-to-pdf-no-header',
+        `--print-to-pdf=${pdfFile}`,
+        `file://${htmlFile}`
+    ], { timeout: CONFIG.printTimeout, encoding: 'utf8' });
+
+    if (result.error || result.status !== 0 || !fs.existsSync(pdfFile)) {
+        throw new Error(`Printing ${path.relative(ROOT, htmlFile)} failed: ${result.error ? result.error.message : result.stderr}`);
+    }
+}
+
+// ==========================================
+// Main
+// ==========================================
+async function main() {
+    const template = fs.readFileSync(CONFIG.template, 'utf8');
+    const { template: pageTemplate, scripts } = loadSources();
+    const browser = findBrowser();
+    const manifest = {};
+
+    fs.mkdirSync(CONFIG.htmlDir, { recursive: true });
+
+    if (!browser) {
+        console.warn('[build-cv] No Chrome/Chromium found (set CHROME_PATH): writing HTML only, existing PDFs are kept');
+    }
+
+    const dom = await renderDocument(pageTemplate, scripts, 'es');
+    const languages = Array.from(dom.window.eval('I18n.getSupportedLanguages()'));
+    dom.window.close();
+
+    for (const lang of languages) {
+        const page = await renderDocument(pageTemplate, scripts, lang);
+        const html = renderCv(template, extractContent(page.window.document, lang), lang);
+        page.window.close();
+
+        const htmlPath = CONFIG.htmlPath.replace('{lang}', lang);
+        const htmlFile = path.join(ROOT, htmlPath);
+        const pdfPath = CONFIG.pdfPath.replace('{lang}', lang);
+        const pdfFile = path.join(ROOT, pdfPath);
+
+        fs.writeFileSync(htmlFile, html);
+        console.log(`✓ ${htmlPath}`);
+        manifest[lang] = { html: htmlPath };
+
+        if (browser) {
+            printPdf(browser, htmlFile, pdfFile);
+            console.log(`✓ ${pdfPath}`);
+        }
+
+        if (fs.existsSync(pdfFile)) {
+            manifest[lang].pdf = pdfPath;
+        }
+    }
+
+    fs.writeFileSync(CONFIG.manifest, `${JSON.stringify(manifest, null, 4)}\n`);
+    const pdfs = Object.keys(manifest).filter(lang => manifest[lang].pdf);
+    console.log(`✓ ${path.relative(ROOT, CONFIG.manifest)} (PDFs: ${pdfs.join(', ') || 'none'})`);
+}
+
+main().catch(error => {
+    console.error('[build-cv] Failed:', error);
+    process.exit(1);
+});
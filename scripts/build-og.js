@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+/**
+ * Open Graph Image Builder
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Draws the share card (photo, name, hero.role and hero.tagline) for every
+ * language from the same rendered page the prerenderer produces, and
+ * rasterizes it to assets/og/<lang>.png with resvg. Everything runs
+ * offline: the photo is embedded in the SVG and the fonts (DM Sans and
+ * JetBrains Mono, as on the site) come from node_modules. Crawlers see no
+ * theme, so the card always uses the default dark palette.
+ *
+ * data/og.json lists the PNG per language for js/share-image.js, which
+ * fills og:image and twitter:image. Run build:html afterwards so the
+ * prerendered pages point to the new files.
+ *
+ * Usage: node scripts/build-og.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { Resvg } = require('@resvg/resvg-js');
+const { renderDocument, loadSources, pageUrl } = require('./prerender');
+
+// ==========================================
+// Configuration
+// ==========================================
+const ROOT = path.resolve(__dirname, '..');
+
+const CONFIG = {
+    outputDir: path.join(ROOT, 'assets', 'og'),
+    imagePath: 'assets/og/{lang}.png',
+    manifest: path.join(ROOT, 'data', 'og.json'),
+    photo: path.join(ROOT, 'assets', 'img', 'fotoCV.jpg'),
+    width: 1200,
+    height: 630,
+    // Characters per tagline line, and lines before it's cut with "…"
+    taglineWidth: 40,
+    taglineLines: 3,
+    // Dark palette from scss/abstracts/_variables.scss
+    colors: {
+        background: '#0a0a0b',
+        surface: '#18181b',
+        border: '#27272a',
+        text: '#fafafa',
+        muted: '#a1a1aa',
+        accent: '#2ecc71',
+        secondary: '#1f3a5f'
+    },
+    fonts: {
+        sans: 'DM Sans',
+        mono: 'JetBrains Mono'
+    },
+    fontFiles: [
+        '@expo-google-fonts/dm-sans/400Regular/DMSans_400Regular.ttf',
+        '@expo-google-fonts/dm-sans/600SemiBold/DMSans_600SemiBold.ttf',
+        '@expo-google-fonts/dm-sans/700Bold/DMSans_700Bold.ttf',
+        '@expo-google-fonts/jetbrains-mono/400Regular/JetBrainsMono_400Regular.ttf'
+    ]
+};
+
+// ==========================================
+// Helpers
+// ==========================================
+
+/**
+ * Escapes text for SVG content and attributes
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Splits text into lines of at most `width` characters, on word boundaries
+ * @param {string} text - Text to wrap
+ * @param {number} width - Maximum characters per line
+ * @param {number} maxLines - Lines kept; the last one ends in "…" if cut
+ * @returns {string[]}
+ */
+function wrapText(text, width, maxLines) {
+    const lines = [];
+
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+        const last = lines[lines.length - 1];
+
+        if (last !== undefined && `${last} ${word}`.length <= width) {
+            lines[lines.length - 1] = `${last} ${word}`;
+        } else {
+            lines.push(word);
+        }
+    });
+
+    if (lines.length > maxLines) {
+        lines.length = maxLines;
+        lines[maxLines - 1] = `${lines[maxLines - 1].replace(/[\s,.;:]+$/, '')}…`;
+    }
+
+    return lines;
+}
+
+/**
+ * Reads the card's text from a rendered page
+ * @param {Document} document - Page rendered for one language
+ * @param {Window} window - Its window, to run I18n.t()
+ * @param {string} lang - Language code
+ * @returns {{name: string, alias: string, role: string, tagline: string, url: string}}
+ */
+function extractCard(document, window, lang) {
+    const text = selector => {
+        const element = document.querySelector(selector);
+        return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+    };
+
+    return {
+        name: text('.hero__name'),
+        alias: text('.hero__alias'),
+        role: window.eval("I18n.t('hero.role')"),
+        tagline: window.eval("I18n.t('hero.tagline')"),
+        url: pageUrl(lang).replace(/^https?:\/\//, '').replace(/\/$/, '')
+    };
+}
+
+/**
+ * Draws the share card
+ * @param {Object} card - Text from extractCard()
+ * @param {string} photo - Photo as a data: URL
+ * @returns {string} SVG document
+ */
+function renderSvg(card, photo) {
+    const { width, height, fonts, colors } = CONFIG;
+    const tagline = wrapText(card.tagline, CONFIG.taglineWidth, CONFIG.taglineLines)
+        .map((line, index) => `<tspan x="100" dy="${index ? 40 : 0}">${escapeXml(line)}</tspan>`)
+        .join('');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+    <defs>
+        <linearGradient id="accent" x1="0" y1="0" x2="1" y2="1">
+            <stop offset="0" stop-color="${colors.secondary}"/>
+            <stop offset="1" stop-color="${colors.accent}"/>
+        </linearGradient>
+        <clipPath id="photo">
+            <circle cx="960" cy="300" r="150"/>
+        </clipPath>
+    </defs>
+    <rect width="${width}" height="${height}" fill="${colors.background}"/>
+    <rect x="40" y="40" width="1120" height="526" rx="24" fill="${colors.surface}" stroke="${colors.border}" stroke-width="2"/>
+    <rect y="598" width="${width}" height="32" fill="url(#accent)"/>
+    <circle cx="960" cy="300" r="158" fill="url(#accent)"/>
+    <image href="${photo}" x="810" y="150" width="300" height="300" preserveAspectRatio="xMidYMid slice" clip-path="url(#photo)"/>
+    <text x="100" y="160" font-family="${fonts.mono}" font-size="26" fill="${colors.accent}">${escapeXml(card.alias)}</text>
+    <text x="100" y="240" font-family="${fonts.sans}" font-size="60" font-weight="700" fill="${colors.text}">${escapeXml(card.name)}</text>
+    <text x="100" y="300" font-family="${fonts.sans}" font-size="34" font-weight="600" fill="${colors.accent}">${escapeXml(card.role)}</text>
+    <text x="100" y="372" font-family="${fonts.sans}" font-size="28" fill="${colors.muted}">${tagline}</text>
+    <text x="100" y="520" font-family="${fonts.mono}" font-size="22" fill="${colors.muted}">${escapeXml(card.url)}</text>
+</svg>
+`;
+}
+
+/**
+ * Rasterizes an SVG to PNG with the bundled fonts only, so the card
+ * looks the same on every machine
+ * @param {string} svg - SVG document
+ * @returns {Buffer} PNG data
+ */
+function rasterize(svg) {
+    const resvg = new Resvg(svg, {
+        fitTo: { mode: 'width', value: CONFIG.width },
+        font: {
+            fontFiles: CONFIG.fontFiles.map(file => require.resolve(file)),
+            loadSystemFonts: false,
+            defaultFontFamily: CONFIG.fonts.sans,
+            monospaceFamily: CONFIG.fonts.mono
+        }
+    });
+
+    return resvg.render().asPng();
+}
+
+// ==========================================
+// Main
+// ==========================================
+async function main() {
+    const { template, scripts } = loadSources();
+    const photo = `data:image/jpeg;base64,${fs.readFileSync(CONFIG.photo).toString('base64')}`;
+    const manifest = {};
+
+    fs.mkdirSync(CONFIG.outputDir, { recursive: true });
+
+    const dom = await renderDocument(template, scripts, 'es');
+    const languages = Array.from(dom.window.eval('I18n.getSupportedLanguages()'));
+    dom.window.close();
+
+    for (const lang of languages) {
+        const page = await renderDocument(template, scripts, lang);
+        const card = extractCard(page.window.document, page.window, lang);
+        page.window.close();
+
+        const pngPath = CONFIG.imagePath.replace('{lang}', lang);
+
+        fs.writeFileSync(path.join(ROOT, pngPath), rasterize(renderSvg(card, photo)));
+        manifest[lang] = pngPath;
+        console.log(`✓ ${pngPath}`);
+    }
+
+    fs.writeFileSync(CONFIG.manifest, `${JSON.stringify(manifest, null, 4)}\n`);
+    console.log(`✓ ${path.relative(ROOT, CONFIG.manifest)} (${Object.keys(manifest).join(', ')})`);
+}
+
+main().catch(error => {
+    console.error('[build-og] Failed:', error);
+    process.exit(1);
+});
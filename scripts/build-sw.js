@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * Service Worker Builder
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Writes sw.js from src/sw.js with the precache manifest injected: every
+ * file the site needs offline (prerendered pages, styles, scripts, data,
+ * sprite, images, the CVs) plus the locale files, which the worker serves
+ * stale-while-revalidate. The manifest version is a hash of all their
+ * contents, so any change produces a new sw.js and browsers pick it up
+ * as an update. Run it after prerendering, since it hashes the pages.
+ *
+ * Usage: node scripts/build-sw.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ==========================================
+// Configuration
+// ==========================================
+const ROOT = path.resolve(__dirname, '..');
+
+const CONFIG = {
+    template: path.join(ROOT, 'src', 'sw.js'),
+    output: path.join(ROOT, 'sw.js'),
+    placeholder: 'self.__PRECACHE_MANIFEST',
+    // Files (or directories, with the extensions to take from them) to precache
+    precache: [
+        { path: 'index.html' },
+        { path: 'en/index.html' },
+        { path: 'ca/index.html' },
+        { path: 'manifest.webmanifest' },
+        { path: 'css/styles.css' },
+        { path: 'js', extensions: ['.js'] },
+        { path: 'data', extensions: ['.json'] },
+        { path: 'assets/icons/sprite.svg' },
+        { path: 'assets/icons/favicon.svg' },
+        { path: 'assets/img', extensions: ['.avif', '.webp', '.jpg', '.png', '.svg'] },
+        { path: 'assets/docs', extensions: ['.pdf'] },
+        { path: 'assets/docs/cv', extensions: ['.html'] }
+    ],
+    locales: { path: 'locales', extensions: ['.json'] },
+    banner: '/* Generated by scripts/build-sw.js from src/sw.js. Edit the template, not this file. */'
+};
+
+// ==========================================
+// Helpers
+// ==========================================
+
+/**
+ * Lists the files an entry stands for, relative to the repo root
+ * @param {{path: string, extensions?: string[]}} entry - File or directory entry
+ * @returns {string[]} Relative paths with forward slashes, sorted
+ */
+function listFiles(entry) {
+    const absolute = path.join(ROOT, entry.path);
+
+    if (!fs.existsSync(absolute)) {
+        throw new Error(`${entry.path} does not exist (run the build first)`);
+    }
+
+    if (!entry.extensions) {
+        return [entry.path];
+    }
+
+    return fs.readdirSync(absolute)
+        .filter(name => entry.extensions.includes(path.extname(name)))
+        .map(name => `${entry.path}/${name}`)
+        .sort();
+}
+
+/**
+ * Turns a file path into the URL the site requests it by
+ * (pages are requested as their directory: en/index.html → en/)
+ * @param {string} file - Relative file path
+ * @returns {string} URL relative to the site root
+ */
+function toUrl(file) {
+    return file.endsWith('index.html') ? file.slice(0, -'index.html'.length) || './' : file;
+}
+
+/**
+ * Hashes the contents of a list of files
+ * @param {string[]} files - Relative file paths
+ * @returns {string} Short hex digest
+ */
+function hashFiles(files) {
+    const hash = crypto.createHash('sha256');
+
+    files.forEach(file => {
+        hash.update(file);
+        hash.update(fs.readFileSync(path.join(ROOT, file)));
+    });
+
+    return hash.digest('hex').slice(0, 12);
+}
+
+// ==========================================
+// Main
+// ==========================================
+function main() {
+    const template = fs.readFileSync(CONFIG.template, 'utf8');
+
+    if (!template.includes(CONFIG.placeholder)) {
+        throw new Error(`${path.relative(ROOT, CONFIG.template)} has no ${CONFIG.placeholder} placeholder`);
+    }
+
+    const precache = CONFIG.precache.flatMap(listFiles);
+    const locales = listFiles(CONFIG.locales);
+
+    const manifest = {
+        version: hashFiles([...precache, ...locales]),
+        precache: precache.map(toUrl),
+        locales: locales.map(toUrl)
+    };
+
+    const source = template.replace(CONFIG.placeholder, JSON.stringify(manifest, null, 4));
+    fs.writeFileSync(CONFIG.output, `${CONFIG.banner}\n${source}`);
+
+    console.log(`✓ ${path.relative(ROOT, CONFIG.output)} (${precache.length + locales.length} files, version ${manifest.version})`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('[build-sw] Failed:', error.message);
+    process.exit(1);
+}
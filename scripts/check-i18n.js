@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Translation Completeness Checker
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Compares every locale in locales/*.json against the default locale
+ * and scans src/index.html (plus t() calls in js/) for translation keys.
+ * Reports missing, extra, empty and unused keys, and exits with code 1
+ * when a locale has drifted.
+ *
+ * A key also counts as used when a script mentions it as a string (e.g.
+ * `key: 'nav.about'` in a CONFIG object) or builds it from a template
+ * prefix (`palette.languages.${lang}`), so --strict can run in CI.
+ *
+ * Usage: node scripts/check-i18n.js [--strict]
+ *   --strict  Treat unused keys as errors too
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// ==========================================
+// Configuration
+// ==========================================
+const ROOT = path.resolve(__dirname, '..');
+
+const CONFIG = {
+    defaultLang: 'es',
+    localesDir: path.join(ROOT, 'locales'),
+    htmlFiles: [path.join(ROOT, 'src', 'index.html')],
+    scriptsDir: path.join(ROOT, 'js'),
+    // Keys read by code rather than markup (e.g. updateDocumentMeta)
+    implicitPrefixes: ['meta.']
+};
+
+// ==========================================
+// Helpers
+// ==========================================
+
+/**
+ * Flattens a nested translation object into dot-notation keys
+ * @param {Object} obj - Translation object
+ * @param {string} [prefix] - Key prefix for recursion
+ * @returns {Map<string, *>} Map of dot-notation key to leaf value
+ */
+function flatten(obj, prefix = '') {
+    const keys = new Map();
+
+    Object.entries(obj).forEach(([key, value]) => {
+        const fullKey = prefix ? `${prefix}.${key}` : key;
+
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            flatten(value, fullKey).forEach((leaf, leafKey) => keys.set(leafKey, leaf));
+        } else {
+            keys.set(fullKey, value);
+        }
+    });
+
+    return keys;
+}
+
+/**
+ * Loads every locales/*.json file
+ * @returns {Object<string, Map<string, *>>} Flattened keys per language
+ */
+function loadLocales() {
+    const locales = {};
+
+    fs.readdirSync(CONFIG.localesDir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .forEach(file => {
+            const lang = path.basename(file, '.json');
+            const source = fs.readFileSync(path.join(CONFIG.localesDir, file), 'utf8');
+
+            try {
+                locales[lang] = flatten(JSON.parse(source));
+            } catch (error) {
+                throw new Error(`Invalid JSON in locales/${file}: ${error.message}`);
+            }
+        });
+
+    return locales;
+}
+
+/**
+ * Collects keys referenced by data-i18n attributes and I18n.t() calls,
+ * plus the dotted strings and template prefixes scripts mention
+ * @returns {{used: Set<string>, mentioned: Set<string>, prefixes: Set<string>}}
+ *          used must exist in the locale; mentioned and prefixes only mark keys as used
+ */
+function collectUsedKeys() {
+    const used = new Set();
+    const mentioned = new Set();
+    const prefixes = new Set();
+    const attrPattern = /data-i18n="([^"]+)"/g;
+    const callPattern = /\bt\(\s*['"`]([\w.]+)['"`]/g;
+    const stringPattern = /['"`]([a-zA-Z]\w*(?:\.\w+)+)['"`]/g;
+    const prefixPattern = /`([a-zA-Z]\w*(?:\.\w+)*\.)\$\{/g;
+
+    CONFIG.htmlFiles.forEach(file => {
+        const html = fs.readFileSync(file, 'utf8');
+        for (const match of html.matchAll(attrPattern)) used.add(match[1]);
+    });
+
+    fs.readdirSync(CONFIG.scriptsDir)
+        .filter(file => file.endsWith('.js'))
+        .forEach(file => {
+            const source = fs.readFileSync(path.join(CONFIG.scriptsDir, file), 'utf8');
+            for (const match of source.matchAll(callPattern)) used.add(match[1]);
+            for (const match of source.matchAll(stringPattern)) mentioned.add(match[1]);
+            for (const match of source.matchAll(prefixPattern)) prefixes.add(match[1]);
+        });
+
+    return { used, mentioned, prefixes };
+}
+
+/**
+ * Checks whether a value counts as an empty translation
+ * @param {*} value - Leaf value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+    return value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Prints a titled list of keys
+ * @param {string} title - Section title
+ * @param {string[]} keys - Keys to list
+ */
+function printList(title, keys) {
+    if (!keys.length) return;
+
+    console.log(`  ${title} (${keys.length}):`);
+    keys.forEach(key => console.log(`    - ${key}`));
+}
+
+// ==========================================
+// Main
+// ==========================================
+function main() {
+    const strict = process.argv.includes('--strict');
+    const locales = loadLocales();
+    const reference = locales[CONFIG.defaultLang];
+    let errors = 0;
+
+    if (!reference) {
+        console.error(`[check-i18n] Default locale "${CONFIG.defaultLang}" not found in locales/`);
+        process.exit(1);
+    }
+
+    // 1. Diff every locale against the default one
+    Object.entries(locales).forEach(([lang, keys]) => {
+        const missing = lang === CONFIG.defaultLang ? [] : [...reference.keys()].filter(key => !keys.has(key));
+        const extra = [...keys.keys()].filter(key => !reference.has(key));
+        const empty = [...keys.entries()].filter(([, value]) => isEmpty(value)).map(([key]) => key);
+        const problems = missing.length + extra.length + empty.length;
+
+        console.log(`${problems ? '✗' : '✓'} ${lang}.json — ${keys.size} keys`);
+        printList('Missing', missing);
+        printList('Extra', extra);
+        printList('Empty', empty);
+
+        errors += problems;
+    });
+
+    // 2. Cross-check markup and scripts against the default locale
+    const { used, mentioned, prefixes } = collectUsedKeys();
+    const undefinedKeys = [...used].filter(key => !reference.has(key)).sort();
+    const unused = [...reference.keys()]
+        .filter(key => !used.has(key) && !mentioned.has(key))
+        .filter(key => ![...CONFIG.implicitPrefixes, ...prefixes].some(prefix => key.startsWith(prefix)));
+
+    console.log(`${undefinedKeys.length ? '✗' : '✓'} src/index.html — ${used.size} keys referenced`);
+    printList(`Not defined in ${CONFIG.defaultLang}.json`, undefinedKeys);
+    printList('Unused', unused);
+
+    errors += undefinedKeys.length;
+    if (strict) errors += unused.length;
+
+    if (errors) {
+        console.error(`\n[check-i18n] ${errors} problem(s) found`);
+        process.exit(1);
+    }
+
+    console.log('\n[check-i18n] All locales are in sync');
+}
+
+main();
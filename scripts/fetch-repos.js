@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/**
+ * GitHub Repository Snapshot
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Collects stars, main languages, last commit date and topics for every
+ * GitHub repository linked from data/projects.json and writes them to
+ * data/repos.json, which js/repo-meta.js shows on the project cards.
+ * The snapshot is committed, so the site never calls the GitHub API.
+ *
+ * A repository that can't be fetched (offline, rate limited) keeps its
+ * entry from the previous snapshot, or gets none. Set GITHUB_TOKEN for a
+ * higher rate limit. The file is only rewritten when the data changed.
+ *
+ * --fixture is a dry run for offline development: it reads every repository
+ * from scripts/fixtures/github-repos.json and prints the snapshot instead
+ * of writing it. Its numbers are made up, so the committed snapshot can
+ * only come from the API.
+ *
+ * Usage: node scripts/fetch-repos.js [--fixture]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// ==========================================
+// Configuration
+// ==========================================
+const ROOT = path.resolve(__dirname, '..');
+
+const CONFIG = {
+    projects: path.join(ROOT, 'data', 'projects.json'),
+    output: path.join(ROOT, 'data', 'repos.json'),
+    fixture: path.join(__dirname, 'fixtures', 'github-repos.json'),
+    apiUrl: 'https://api.github.com',
+    timeout: 10000,
+    maxLanguages: 3
+};
+
+// ==========================================
+// Helpers
+// ==========================================
+
+/**
+ * Reads a JSON file
+ * @param {string} file - Absolute path
+ * @param {*} [fallback] - Returned if the file is missing
+ * @returns {*}
+ */
+function readJson(file, fallback) {
+    if (fallback !== undefined && !fs.existsSync(file)) {
+        return fallback;
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Gets "owner/name" from a repository URL
+ * @param {string} url - e.g. https://github.com/cgvrzon/arynstal
+ * @returns {string|null} Repository key, or null for other links (e.g. a profile)
+ */
+function parseRepo(url) {
+    const match = /^https:\/\/github\.com\/([\w.-]+)\/([\w.-]+?)(?:\.git)?\/?$/.exec(url || '');
+    return match ? `${match[1]}/${match[2]}` : null;
+}
+
+/**
+ * Calls the GitHub REST API
+ * @param {string} endpoint - Path after the API URL
+ * @returns {Promise<*>} Parsed response
+ */
+async function github(endpoint) {
+    const headers = {
+        'Accept': 'application/vnd.github+json',
+        'User-Agent': 'cgvrzon-portfolio-build'
+    };
+
+    if (process.env.GITHUB_TOKEN) {
+        headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+    }
+
+    const response = await fetch(`${CONFIG.apiUrl}${endpoint}`, {
+        headers,
+        signal: AbortSignal.timeout(CONFIG.timeout)
+    });
+
+    if (!response.ok) {
+        throw new Error(`${endpoint}: HTTP ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Fetches the API responses the snapshot is built from
+ * @param {string} repo - "owner/name"
+ * @returns {Promise<Object>} { repo, languages, commits }, shaped like the fixture
+ */
+async function fetchRepo(repo) {
+    const [info, languages, commits] = await Promise.all([
+        github(`/repos/${repo}`),
+        github(`/repos/${repo}/languages`),
+        github(`/repos/${repo}/commits?per_page=1`)
+    ]);
+
+    return { repo: info, languages, commits };
+}
+
+/**
+ * Reduces the API responses to what the cards show
+ * @param {Object} raw - { repo, languages, commits }
+ * @returns {Object} { url, stars, languages: [{ name, share }], lastCommit, topics }
+ */
+function summarize(raw) {
+    const bytes = Object.entries(raw.languages || {});
+    const total = bytes.reduce((sum, [, size]) => sum + size, 0);
+    const lastCommit = raw.commits && raw.commits[0] && raw.commits[0].commit.committer.date;
+
+    return {
+        url: raw.repo.html_url,
+        stars: raw.repo.stargazers_count || 0,
+        languages: bytes
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, CONFIG.maxLanguages)
+            .map(([name, size]) => ({ name, share: total ? Math.round((size / total) * 100) : 0 })),
+        lastCommit: lastCommit || raw.repo.pushed_at,
+        topics: raw.repo.topics || []
+    };
+}
+
+// ==========================================
+// Main
+// ==========================================
+async function main() {
+    const useFixture = process.argv.includes('--fixture');
+    const fixture = useFixture ? readJson(CONFIG.fixture) : {};
+    const previous = readJson(CONFIG.output, { repos: {} });
+    const { projects } = readJson(CONFIG.projects);
+    const repos = {};
+
+    const keys = [...new Set(projects.map(project => parseRepo(project.repo)).filter(Boolean))];
+
+    for (const key of keys) {
+        let raw = null;
+
+        if (useFixture) {
+            raw = fixture[key] || null;
+        } else {
+            try {
+                raw = await fetchRepo(key);
+            } catch (error) {
+                console.warn(`[fetch-repos] ${key}: ${error.message}`);
+            }
+        }
+
+        if (raw) {
+            repos[key] = summarize(raw);
+            console.log(`✓ ${key} (${useFixture ? 'fixture' : 'GitHub'})`);
+        } else if (previous.repos[key]) {
+            repos[key] = previous.repos[key];
+            console.warn(`[fetch-repos] ${key}: keeping the previous snapshot`);
+        } else {
+            console.warn(`[fetch-repos] ${key}: no data, skipped`);
+        }
+    }
+
+    if (useFixture) {
+        console.log(JSON.stringify({ generatedAt: null, repos }, null, 4));
+        console.log(`✓ Dry run: ${path.relative(ROOT, CONFIG.output)} not written`);
+        return;
+    }
+
+    if (JSON.stringify(repos) === JSON.stringify(previous.repos)) {
+        console.log(`✓ ${path.relative(ROOT, CONFIG.output)} unchanged`);
+        return;
+    }
+
+    const snapshot = { generatedAt: new Date().toISOString(), repos };
+    fs.writeFileSync(CONFIG.output, `${JSON.stringify(snapshot, null, 4)}\n`);
+    console.log(`✓ ${path.relative(ROOT, CONFIG.output)} (${Object.keys(repos).length} repositories)`);
+}
+
+main().catch(error => {
+    console.error('[fetch-repos] Failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+/**
+ * Mock Contact Endpoint
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Serves the site locally with a fake contact endpoint, so the network
+ * adapters of js/contact-form.js can be tried without a real backend.
+ * Pages are served with the form pointed at /api/contact, which answers
+ * like Formspree: { ok: true } or 422 with { errors: [{ field, message }] }.
+ * Messages are only printed to the console.
+ *
+ * Usage: node scripts/mock-contact-server.js [--port 8787] [--adapter formspree|post] [--fail]
+ *   --adapter  Adapter the pages use (default: formspree)
+ *   --fail     Answer every submission with a 500, to try the error path
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+// ==========================================
+// Configuration
+// ==========================================
+const ROOT = path.resolve(__dirname, '..');
+
+const CONFIG = {
+    port: 8787,
+    adapter: 'formspree',
+    endpoint: '/api/contact',
+    fail: false,
+    // Not served, so no service worker caches the rewritten pages
+    blocked: ['/sw.js'],
+    types: {
+        '.html': 'text/html; charset=utf-8',
+        '.css': 'text/css; charset=utf-8',
+        '.js': 'text/javascript; charset=utf-8',
+        '.json': 'application/json; charset=utf-8',
+        '.webmanifest': 'application/manifest+json',
+        '.svg': 'image/svg+xml',
+        '.png': 'image/png',
+        '.jpg': 'image/jpeg',
+        '.webp': 'image/webp',
+        '.avif': 'image/avif',
+        '.pdf': 'application/pdf',
+        '.xml': 'application/xml'
+    }
+};
+
+// ==========================================
+// Helpers
+// ==========================================
+
+/**
+ * Reads --port, --adapter and --fail from the command line
+ * @param {string[]} args - process.argv without node and the script
+ */
+function parseArgs(args) {
+    args.forEach((arg, index) => {
+        if (arg === '--port') CONFIG.port = Number(args[index + 1]) || CONFIG.port;
+        if (arg === '--adapter') CONFIG.adapter = args[index + 1] || CONFIG.adapter;
+        if (arg === '--fail') CONFIG.fail = true;
+    });
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': CONFIG.types['.json'] });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads a request body as JSON or form-encoded data
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>} Submitted fields
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+
+        req.on('data', chunk => {
+            raw += chunk;
+        });
+
+        req.on('end', () => {
+            try {
+                resolve((req.headers['content-type'] || '').includes('application/json')
+                    ? JSON.parse(raw || '{}')
+                    : Object.fromEntries(new URLSearchParams(raw)));
+            } catch (error) {
+                reject(error);
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Checks a submission the way a real endpoint would
+ * @param {Object} data - Submitted fields
+ * @returns {Object[]} Errors as [{ field, message }]
+ */
+function validate(data) {
+    const errors = [];
+
+    if (!String(data.name || '').trim()) {
+        errors.push({ field: 'name', message: 'Name is required' });
+    }
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(data.email || ''))) {
+        errors.push({ field: 'email', message: 'Email is invalid' });
+    }
+
+    if (String(data.message || '').trim().length < 10) {
+        errors.push({ field: 'message', message: 'Message is too short' });
+    }
+
+    return errors;
+}
+
+/**
+ * Handles a contact submission
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function handleContact(req, res) {
+    if (req.method !== 'POST') {
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    let data;
+    try {
+        data = await readBody(req);
+    } catch (error) {
+        sendJson(res, 400, { error: 'Invalid body' });
+        return;
+    }
+
+    if (CONFIG.fail) {
+        console.log('[mock-contact] Failing on purpose (--fail)');
+        sendJson(res, 500, { error: 'Mock failure' });
+        return;
+    }
+
+    const errors = validate(data);
+    if (errors.length) {
+        console.log('[mock-contact] Rejected:', errors.map(error => error.field).join(', '));
+        sendJson(res, 422, { errors });
+        return;
+    }
+
+    console.log(`[mock-contact] Message from ${data.name} <${data.email}>:\n${data.message}\n`);
+    sendJson(res, 200, { ok: true });
+}
+
+/**
+ * Serves a repository file, pointing pages' contact form at the mock endpoint
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+function serveFile(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    let file = path.join(ROOT, decodeURIComponent(pathname));
+
+    if (pathname.endsWith('/')) {
+        file = path.join(file, 'index.html');
+    }
+
+    if (!file.startsWith(ROOT) || CONFIG.blocked.includes(pathname) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+
+    const type = CONFIG.types[path.extname(file)] || 'application/octet-stream';
+    let body = fs.readFileSync(file);
+
+    if (path.extname(file) === '.html') {
+        body = body.toString('utf8').replace(
+            /data-contact-adapter="[^"]*"/,
+            `data-contact-adapter="${CONFIG.adapter}" data-contact-endpoint="${CONFIG.endpoint}"`
+        );
+    }
+
+    res.writeHead(200, { 'Content-Type': type });
+    res.end(body);
+}
+
+// ==========================================
+// Main
+// ==========================================
+function main() {
+    parseArgs(process.argv.slice(2));
+
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (pathname === CONFIG.endpoint) {
+            handleContact(req, res);
+        } else {
+            serveFile(req, res);
+        }
+    });
+
+    server.listen(CONFIG.port, () => {
+        console.log(`[mock-contact] Site on http://localhost:${CONFIG.port}/ (adapter: ${CONFIG.adapter}${CONFIG.fail ? ', failing' : ''})`);
+        console.log(`[mock-contact] Endpoint: POST http://localhost:${CONFIG.port}${CONFIG.endpoint}`);
+    });
+}
+
+main();
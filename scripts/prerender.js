@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+/**
+ * Static Prerenderer
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Renders src/index.html once per language by running the browser's own
+ * modules (js/i18n.js, js/projects.js, js/repo-meta.js, js/cv-links.js,
+ * js/structured-data.js, js/share-image.js) inside jsdom, so data-i18n,
+ * data-i18n-attr, dates, meta tags, share images, JSON-LD, CV links and
+ * data-driven sections resolve exactly as they do client-side.
+ * Writes index.html, en/index.html and ca/index.html, and regenerates
+ * sitemap.xml with hreflang alternates for every language.
+ * <time data-build-date> elements get the date of the last commit.
+ * renderDocument() is exported for the other build scripts.
+ *
+ * Usage: node scripts/prerender.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { execFileSync } = require('child_process');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+// ==========================================
+// Configuration
+// ==========================================
+const ROOT = path.resolve(__dirname, '..');
+
+const CONFIG = {
+    siteUrl: 'https://cgvrzon.github.io/',
+    defaultLang: 'es',
+    template: path.join(ROOT, 'src', 'index.html'),
+    // Browser modules to run, in order, and the call that resolves once each has rendered
+    scripts: [
+        { file: 'js/i18n.js', ready: 'I18n.init()' },
+        { file: 'js/projects.js', ready: 'Projects.init()' },
+        { file: 'js/repo-meta.js', ready: 'RepoMeta.init()' },
+        { file: 'js/cv-links.js', ready: 'CvLinks.init()' },
+        { file: 'js/structured-data.js', ready: 'StructuredData.init()' },
+        { file: 'js/share-image.js', ready: 'ShareImage.init()' }
+    ],
+    sitemap: path.join(ROOT, 'sitemap.xml'),
+    banner: ' Generated by scripts/prerender.js from src/index.html. Edit the template, not this file. '
+};
+
+// ==========================================
+// Helpers
+// ==========================================
+
+/**
+ * Gets the public URL of a language's page
+ * @param {string} lang - Language code
+ * @returns {string} Absolute URL
+ */
+function pageUrl(lang) {
+    return lang === CONFIG.defaultLang ? CONFIG.siteUrl : `${CONFIG.siteUrl}${lang}/`;
+}
+
+/**
+ * Gets the output file of a language's page
+ * @param {string} lang - Language code
+ * @returns {string} Absolute file path
+ */
+function outputPath(lang) {
+    return lang === CONFIG.defaultLang
+        ? path.join(ROOT, 'index.html')
+        : path.join(ROOT, lang, 'index.html');
+}
+
+/**
+ * Minimal fetch() that serves repository files to the jsdom window
+ * @param {string} baseUrl - Page URL that relative requests resolve against
+ * @returns {Function} fetch-compatible function
+ */
+function createFetch(baseUrl) {
+    return async function fetch(resource) {
+        const { pathname } = new URL(resource, baseUrl);
+        const file = path.join(ROOT, decodeURIComponent(pathname));
+        const exists = file.startsWith(ROOT) && fs.existsSync(file);
+
+        return {
+            ok: exists,
+            status: exists ? 200 : 404,
+            json: async () => JSON.parse(fs.readFileSync(file, 'utf8'))
+        };
+    };
+}
+
+/**
+ * Prefixes relative asset URLs so pages in a subdirectory still resolve them
+ * @param {Document} document - Rendered document
+ * @param {string} prefix - Prefix to add (e.g., '../')
+ */
+function rebaseRelativeUrls(document, prefix) {
+    const isRelative = url => url && !/^(#|\/|[a-z][a-z0-9+.-]*:)/i.test(url);
+
+    document.querySelectorAll('[href], [src]').forEach(element => {
+        ['href', 'src'].forEach(attr => {
+            const value = element.getAttribute(attr);
+            if (isRelative(value)) element.setAttribute(attr, prefix + value);
+        });
+    });
+
+    document.querySelectorAll('[srcset]').forEach(element => {
+        const srcset = element.getAttribute('srcset')
+            .split(',')
+            .map(candidate => {
+                const value = candidate.trim();
+                return isRelative(value) ? prefix + value : value;
+            })
+            .join(', ');
+
+        element.setAttribute('srcset', srcset);
+    });
+}
+
+/**
+ * Gets the date the site was last changed: the last commit, or today
+ * outside a git checkout
+ * @returns {string} YYYY-MM-DD
+ */
+function getBuildDate() {
+    try {
+        return execFileSync('git', ['log', '-1', '--format=%cs'], { cwd: ROOT, encoding: 'utf8' }).trim();
+    } catch (error) {
+        return new Date().toISOString().slice(0, 10);
+    }
+}
+
+/**
+ * Runs the browser modules on the template for one language
+ * (also used by scripts/build-cv.js, so the CV reads the same texts)
+ * @param {string} template - Template HTML
+ * @param {Object[]} scripts - Browser modules with their loaded source
+ * @param {string} lang - Language code
+ * @returns {Promise<JSDOM>} Rendered document; call window.close() when done
+ */
+async function renderDocument(template, scripts, lang) {
+    const url = pageUrl(lang);
+    const virtualConsole = new VirtualConsole();
+
+    virtualConsole.on('warn', (...args) => console.warn(`[prerender:${lang}]`, ...args));
+    virtualConsole.on('error', (...args) => console.error(`[prerender:${lang}]`, ...args));
+
+    const dom = new JSDOM(template, { url, runScripts: 'outside-only', virtualConsole });
+    const { window } = dom;
+
+    // The default page has no language in its URL, so detection falls
+    // through to the browser language: make it the one being rendered
+    Object.defineProperty(window.navigator, 'language', { value: lang });
+    window.fetch = createFetch(url);
+
+    // I18n formats these like any other data-i18n-date
+    const buildDate = getBuildDate();
+    window.document.querySelectorAll('[data-build-date]').forEach(element => {
+        element.removeAttribute('data-build-date');
+        element.setAttribute('datetime', buildDate);
+        element.setAttribute('data-i18n-date', buildDate);
+    });
+
+    for (const script of scripts) {
+        new vm.Script(script.source, { filename: script.file }).runInContext(dom.getInternalVMContext());
+        await window.eval(script.ready);
+    }
+
+    if (window.eval('I18n.getCurrentLanguage()') !== lang) {
+        throw new Error(`I18n resolved "${window.eval('I18n.getCurrentLanguage()')}" for ${url}`);
+    }
+
+    return dom;
+}
+
+/**
+ * Renders the template for one language
+ * @param {string} template - Template HTML
+ * @param {Object[]} scripts - Browser modules with their loaded source
+ * @param {string} lang - Language code
+ * @returns {Promise<{html: string, languages: string[]}>} Page HTML and supported languages
+ */
+async function renderPage(template, scripts, lang) {
+    const dom = await renderDocument(template, scripts, lang);
+    const { window } = dom;
+    const { document } = window;
+
+    if (lang !== CONFIG.defaultLang) {
+        rebaseRelativeUrls(document, '../');
+    }
+
+    document.documentElement.before(document.createComment(CONFIG.banner));
+
+    const languages = window.eval('I18n.getSupportedLanguages()');
+    const html = `${dom.serialize()}\n`;
+    window.close();
+
+    return { html, languages: Array.from(languages) };
+}
+
+/**
+ * Reads the template and the browser modules the pages are rendered with
+ * @returns {{template: string, scripts: Object[]}}
+ */
+function loadSources() {
+    return {
+        template: fs.readFileSync(CONFIG.template, 'utf8'),
+        scripts: CONFIG.scripts.map(script => ({
+            ...script,
+            source: fs.readFileSync(path.join(ROOT, script.file), 'utf8')
+        }))
+    };
+}
+
+/**
+ * Builds sitemap.xml with one entry per language, each listing every alternate
+ * @param {string[]} languages - Supported language codes
+ * @returns {string} Sitemap XML
+ */
+function buildSitemap(languages) {
+    const lastmod = getBuildDate();
+    const alternates = [...languages, 'x-default']
+        .map(hreflang => {
+            const href = pageUrl(hreflang === 'x-default' ? CONFIG.defaultLang : hreflang);
+            return `    <xhtml:link rel="alternate" hreflang="${hreflang}" href="${href}"/>`;
+        })
+        .join('\n');
+
+    const urls = languages.map(lang => [
+        '  <url>',
+        `    <loc>${pageUrl(lang)}</loc>`,
+        alternates,
+        `    <lastmod>${lastmod}</lastmod>`,
+        '    <changefreq>monthly</changefreq>',
+        `    <priority>${lang === CONFIG.defaultLang ? '1.0' : '0.9'}</priority>`,
+        '  </url>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"',
+        '        xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+        ...urls,
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+// ==========================================
+// Main
+// ==========================================
+async function main() {
+    const { template, scripts } = loadSources();
+
+    // The default page also tells us which languages exist
+    const defaultPage = await renderPage(template, scripts, CONFIG.defaultLang);
+    const pages = { [CONFIG.defaultLang]: defaultPage.html };
+
+    for (const lang of defaultPage.languages.filter(code => code !== CONFIG.defaultLang)) {
+        pages[lang] = (await renderPage(template, scripts, lang)).html;
+    }
+
+    Object.entries(pages).forEach(([lang, html]) => {
+        const file = outputPath(lang);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, html);
+        console.log(`✓ ${path.relative(ROOT, file)}`);
+    });
+
+    fs.writeFileSync(CONFIG.sitemap, buildSitemap(defaultPage.languages));
+    console.log(`✓ ${path.relative(ROOT, CONFIG.sitemap)}`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('[prerender] Failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { renderDocument, loadSources, pageUrl };
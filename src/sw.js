@@ -0,0 +1,149 @@
+/**
+ * Service Worker
+ * Author: Carlos Garzón López (cgvrzon)
+ *
+ * Precaches the site so it keeps working offline, and serves the locale
+ * files stale-while-revalidate so translation fixes show up on the next
+ * visit without waiting for a new release.
+ *
+ * The file list and version are injected by scripts/build-sw.js. A new
+ * version installs alongside the current one and waits until the page
+ * (js/offline.js) asks it to take over, after the visitor accepts the
+ * "update available" toast.
+ */
+
+'use strict';
+
+const MANIFEST = self.__PRECACHE_MANIFEST;
+
+// ==========================================
+// Configuration
+// ==========================================
+const CONFIG = {
+    cachePrefix: 'portfolio-',
+    precacheName: `portfolio-precache-${MANIFEST.version}`,
+    localesCacheName: 'portfolio-locales',
+    localesPattern: /\/locales\/[a-z]{2}\.json$/
+};
+
+// ==========================================
+// Helpers
+// ==========================================
+
+/**
+ * Resolves a manifest URL against the worker's scope
+ * @param {string} url - URL relative to the site root
+ * @returns {string} Absolute URL
+ */
+function resolve(url) {
+    return new URL(url, self.registration.scope).href;
+}
+
+/**
+ * Stores a list of URLs, bypassing the HTTP cache so a new
+ * version never precaches stale copies
+ * @param {string} cacheName - Cache to fill
+ * @param {string[]} urls - URLs relative to the site root
+ * @returns {Promise<void>}
+ */
+async function addAll(cacheName, urls) {
+    const cache = await caches.open(cacheName);
+    await cache.addAll(urls.map(url => new Request(resolve(url), { cache: 'reload' })));
+}
+
+/**
+ * Serves from the precache, falling back to the network.
+ * Pages are looked up without their query (?lang=en) and as their
+ * directory (/en/index.html → /en/); offline, unknown pages get the home page.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function precacheFirst(request) {
+    const cache = await caches.open(CONFIG.precacheName);
+    const isPage = request.mode === 'navigate';
+    const url = isPage ? request.url.replace(/index\.html(?=$|[?#])/, '') : request.url;
+    const cached = await cache.match(url, { ignoreSearch: isPage });
+
+    if (cached) return cached;
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const home = isPage && await cache.match(resolve('./'));
+        if (home) return home;
+        throw error;
+    }
+}
+
+/**
+ * Serves the cached copy right away and refreshes it in the background
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(CONFIG.localesCacheName);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    const network = fetch(event.request).then(response => {
+        if (response.ok) {
+            cache.put(event.request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+
+    return network;
+}
+
+// ==========================================
+// Lifecycle
+// ==========================================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(Promise.all([
+        addAll(CONFIG.precacheName, MANIFEST.precache),
+        addAll(CONFIG.localesCacheName, MANIFEST.locales)
+    ]));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [CONFIG.precacheName, CONFIG.localesCacheName];
+        const names = await caches.keys();
+
+        await Promise.all(names
+            .filter(name => name.startsWith(CONFIG.cachePrefix) && !keep.includes(name))
+            .map(name => caches.delete(name)));
+
+        await self.clients.claim();
+    })());
+});
+
+// The page sends this once the visitor accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// ==========================================
+// Fetch
+// ==========================================
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Only this site's GET requests; fonts and external links go to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (CONFIG.localesPattern.test(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event));
+        return;
+    }
+
+    event.respondWith(precacheFirst(request));
+});